@@ -0,0 +1,305 @@
+/**
+ * Batch Scoring
+ * Scores a CSV of patients with one of the registered risk models:
+ * CSV parsing, column mapping, per-column units, range checks and a
+ * results CSV with per-factor contributions.
+ * Loads as a classic <script> (window.DiabetesBatch) or via require().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./risk-engine.js'));
+    } else {
+        root.DiabetesBatch = factory(root.DiabetesRiskEngine);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Engine) {
+    'use strict';
+
+    // Fields read as numbers; every other model input is a yes/no flag
+    const NUMERIC_FIELDS = ['age', 'sbp', 'height', 'waist', 'fastGlu', 'cholHDL', 'cholTri', 'bmi'];
+
+    // Column headers recognized when guessing the mapping (lower case, no punctuation)
+    const ALIASES = {
+        age: ['age', 'alter', 'ageyears'],
+        sex: ['sex', 'gender', 'geschlecht'],
+        race: ['race', 'black', 'ethnicity'],
+        parentHist: ['parenthist', 'parenthistory', 'parentalhistory', 'familyhistory', 'parentdiabetes'],
+        relativeHist: ['relativehist', 'relativehistory', 'relativediabetes'],
+        sbp: ['sbp', 'systolic', 'systolicbp', 'bloodpressure'],
+        height: ['height', 'groesse', 'größe'],
+        waist: ['waist', 'waistcircumference', 'taille', 'bauchumfang'],
+        fastGlu: ['fastglu', 'glucose', 'fastingglucose', 'fpg', 'glukose'],
+        cholHDL: ['cholhdl', 'hdl', 'hdlcholesterol'],
+        cholTri: ['choltri', 'triglycerides', 'tg', 'triglyceride', 'triglyzeride'],
+        bmi: ['bmi', 'bodymassindex'],
+        gestDiab: ['gestdiab', 'gestationaldiabetes'],
+        hypertension: ['hypertension', 'hypertonie'],
+        bpMeds: ['bpmeds', 'antihypertensives', 'bpmedication'],
+        highGluHist: ['highgluhist', 'highglucosehistory'],
+        physActivity: ['physactivity', 'physicalactivity', 'activity'],
+        vegFruit: ['vegfruit', 'vegetablesfruit', 'dailyvegetables']
+    };
+
+    const TRUE_VALUES = ['1', 'yes', 'y', 'true', 'ja', 'j'];
+    const FALSE_VALUES = ['0', 'no', 'n', 'false', 'nein'];
+
+    // ============================================
+    // 1. CSV
+    // ============================================
+
+    // Error with a `type` the page translates (batch.error.<type>)
+    function importError(type, message) {
+        const error = new Error(message);
+        error.type = type;
+        return error;
+    }
+
+    /**
+     * Parses CSV text (comma or semicolon separated, quoted fields allowed,
+     * a leading byte order mark ignored). Returns { headers, rows } where each row maps header -> raw string.
+     * An empty file throws an Error with `type` 'empty'.
+     */
+    function parseCSV(csv) {
+        const text = csv.replace(/^\uFEFF/, '');
+        const firstLine = text.slice(0, text.search(/\r?\n|$/));
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const records = [];
+        let record = [], field = '', quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') { field += '"'; i++; }
+                else if (char === '"') quoted = false;
+                else field += char;
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(field); field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field); field = '';
+                records.push(record); record = [];
+            } else {
+                field += char;
+            }
+        }
+        if (field || record.length) { record.push(field); records.push(record); }
+
+        const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+        if (!nonEmpty.length) throw importError('empty', 'The CSV file is empty');
+
+        const headers = nonEmpty[0].map(header => header.trim());
+        const rows = nonEmpty.slice(1).map(values => {
+            const row = {};
+            headers.forEach((header, i) => { row[header] = values[i] === undefined ? '' : values[i].trim(); });
+            return row;
+        });
+        return { headers, rows };
+    }
+
+    const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+    // Quoted where needed; text a spreadsheet would run as a formula (=, +, -, @,
+    // tab or CR first) gets a leading ', numbers such as negative contributions stay
+    function escapeCSV(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text) && !NUMBER_PATTERN.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCSV(headers, rows) {
+        return [headers, ...rows].map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+    }
+
+    // ============================================
+    // 2. COLUMN MAPPING
+    // ============================================
+
+    function normalizeHeader(header) {
+        return header.toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').replace(/[^a-z0-9äöüß]/g, '');
+    }
+
+    /**
+     * Proposes a field -> column mapping for `fields` from the CSV headers.
+     * Unrecognized fields map to ''.
+     */
+    function guessMapping(headers, fields) {
+        const mapping = {};
+        fields.forEach(field => {
+            const aliases = ALIASES[field] || [field.toLowerCase()];
+            mapping[field] = headers.find(header => aliases.includes(normalizeHeader(header))) || '';
+        });
+        return mapping;
+    }
+
+    // ============================================
+    // 3. SCORING
+    // ============================================
+
+    // Parses one raw cell; returns undefined when it cannot be read
+    function parseValue(field, raw) {
+        const text = String(raw).trim().toLowerCase();
+        if (text === '') return undefined;
+
+        if (NUMERIC_FIELDS.includes(field)) {
+            const value = Number(text.replace(',', '.'));
+            return isNaN(value) ? undefined : value;
+        }
+        if (field === 'sex') {
+            if (['m', 'male', 'man', 'männlich'].includes(text)) return 'male';
+            if (['f', 'w', 'female', 'woman', 'weiblich'].includes(text)) return 'female';
+            return undefined;
+        }
+        if (field === 'race') {
+            if (text === 'black') return 1;
+            if (['other', 'white'].includes(text)) return 0;
+        }
+        if (TRUE_VALUES.includes(text)) return 1;
+        if (FALSE_VALUES.includes(text)) return 0;
+        return undefined;
+    }
+
+    /**
+     * Scores every CSV row with `options.model`.
+     * `options.mapping` maps model inputs to CSV columns, `options.units`
+     * the unit (a unit id or 'us' / 'si', see Engine.getUnit) of each
+     * converted column, `options.ranges`
+     * the accepted SI [min, max] per numeric field and `options.categorize`
+     * (optional) turns a computeRisk result into a category label.
+     * Rows with missing values, or values Engine.validateInputs rejects as
+     * implausible (as on the single-patient form), are not scored;
+     * out-of-range values are scored but flagged. Returns one entry per row:
+     * { line, row, result, category, missing, implausible, outOfRange }.
+     */
+    function scoreRows(rows, options) {
+        const model = Engine.getModel(options.model);
+        const units = options.units || {};
+        const ranges = options.ranges || {};
+
+        return rows.map((row, index) => {
+            const values = {};
+            const missing = [];
+            const outOfRange = [];
+
+            model.inputs.forEach(field => {
+                const column = options.mapping[field];
+                const value = column ? parseValue(field, row[column]) : undefined;
+                if (value === undefined) {
+                    missing.push(field);
+                    return;
+                }
+
+                // Convert to SI column by column
+                values[field] = Engine.toSI({ [field]: value }, units)[field];
+
+                const range = ranges[field];
+                if (range && (values[field] < range[0] || values[field] > range[1])) outOfRange.push(field);
+            });
+
+            // Same plausibility checks as the form: implausible rows stay unscored
+            const implausible = [];
+            if (!missing.length) {
+                Engine.validateInputs(values, { model }).issues
+                    .filter(issue => issue.severity === 'error')
+                    .forEach(issue => {
+                        if (!implausible.includes(issue.field)) implausible.push(issue.field);
+                    });
+            }
+
+            const result = missing.length || implausible.length ? null : Engine.computeRisk(values, { model });
+            return {
+                line: index + 2,    // Header is line 1
+                row,
+                result,
+                category: result && options.categorize ? options.categorize(result) : '',
+                missing,
+                implausible,
+                outOfRange
+            };
+        });
+    }
+
+    /**
+     * Results table: the original columns followed by probability, points
+     * (point models), category, flags and one contribution column per input.
+     */
+    function resultsCSV(headers, scored, modelId) {
+        const model = Engine.getModel(modelId);
+        const isPoints = model.type === 'points';
+        const columns = [
+            ...headers,
+            'risk_probability',
+            ...(isPoints ? ['risk_points'] : []),
+            'risk_category',
+            'flags',
+            ...model.inputs.map(field => `contribution_${field}`)
+        ];
+
+        const rows = scored.map(entry => {
+            const result = entry.result;
+            const flags = [
+                ...entry.missing.map(field => `missing:${field}`),
+                ...entry.implausible.map(field => `implausible:${field}`),
+                ...entry.outOfRange.map(field => `out_of_range:${field}`)
+            ].join(' ');
+
+            return [
+                ...headers.map(header => entry.row[header]),
+                result && result.probability !== null ? result.probability.toFixed(4) : '',
+                ...(isPoints ? [result ? result.points : ''] : []),
+                entry.category,
+                flags,
+                ...model.inputs.map(field => {
+                    if (!result) return '';
+                    const value = result.contributions[field];
+                    return isPoints ? value : value.toFixed(4);
+                })
+            ];
+        });
+
+        return toCSV(columns, rows);
+    }
+
+    /**
+     * Summary of scored rows: { total, scored, flagged, categories, histogram }.
+     * The histogram uses 10% probability bins, or one bin per point for
+     * models that report no probability.
+     */
+    function summarize(scored, modelId) {
+        const model = Engine.getModel(modelId);
+        const results = scored.filter(entry => entry.result);
+
+        const categories = {};
+        results.forEach(entry => {
+            categories[entry.category] = (categories[entry.category] || 0) + 1;
+        });
+
+        let histogram;
+        if (model.type === 'points' && !model.riskTable) {
+            histogram = Array.from({ length: model.maxPoints + 1 }, (_, points) => ({ label: String(points), count: 0 }));
+            results.forEach(entry => { histogram[entry.result.points].count++; });
+        } else {
+            histogram = Array.from({ length: 10 }, (_, i) => ({ label: `${i * 10}–${i * 10 + 10}%`, count: 0 }));
+            results.forEach(entry => { histogram[Math.min(9, Math.floor(entry.result.probability * 10))].count++; });
+        }
+
+        return {
+            total: scored.length,
+            scored: results.length,
+            flagged: scored.filter(entry => entry.missing.length || entry.implausible.length || entry.outOfRange.length).length,
+            categories,
+            histogram
+        };
+    }
+
+    return {
+        NUMERIC_FIELDS,
+        parseCSV,
+        toCSV,
+        guessMapping,
+        scoreRows,
+        resultsCSV,
+        summarize
+    };
+});
@@ -9,147 +9,377 @@
 // ============================================
 
 const CONFIG = {
-    // Model Coefficients (Betas) from Schmidt et al.
-    BETAS: {
-        age: 0.0173,
-        race: 0.4433,       // Black (1) vs Other (0)
-        parentHist: 0.4981, // Yes (1) vs No (0)
-        sbp: 0.0111,
-        waist: 0.0273,      // cm
-        height: -0.0326,    // cm
-        fastGlu: 1.5849,    // mmol/L
-        cholHDL: -0.4718,   // mmol/L
-        cholTri: 0.242,     // mmol/L
-        sigma: -9.9808      // Intercept
+    // Model constants live in the DOM-free engine (risk-engine.js)
+    BETAS: DiabetesRiskEngine.BETAS,
+    MEANS: DiabetesRiskEngine.MEANS,
+    CONVERSIONS: DiabetesRiskEngine.CONVERSIONS,
+
+    // Slider Limits [min, max, step] per unit id (see DiabetesRiskEngine.UNITS);
+    // units missing here get the converted SI range (see getRange)
+    RANGES: {
+        age: { years: [20, 80, 1] },
+        sbp: { mmHg: [90, 200, 1] },
+        height: { in: [48, 84, 1], cm: [122, 213, 1] },                // 48-84 in * 2.54
+        waist: { in: [25, 60, 1], cm: [64, 152, 1] },                  // 25-60 in * 2.54
+        fastGlu: { 'mg/dL': [50, 300, 1], 'mmol/L': [2.8, 16.7, 0.1] }, // 50-300 mg/dL / 18
+        cholHDL: { 'mg/dL': [20, 100, 1], 'mmol/L': [0.5, 2.6, 0.1] },  // 20-100 mg/dL / 38.67
+        cholTri: { 'mg/dL': [50, 500, 1], 'mmol/L': [0.6, 5.6, 0.1] },  // 50-500 mg/dL / 88.57
+        bmi: { 'kg/m²': [15, 50, 0.5] },
+        hba1c: { '%': [4, 14, 0.1], 'mmol/mol': [20, 130, 1] },
+        weight: { lb: [66, 440, 1], kg: [30, 200, 1] }
     },
 
-    // Population Means (ARIC Study Baseline)
-    MEANS: {
-        age: 54,
-        race: 0.25,
-        parentHist: 0.3,
-        sbp: 120,
-        waist: 97,
-        height: 168,
-        fastGlu: 5.5,
-        cholHDL: 1.3,
-        cholTri: 1.7
+    // Inputs shown when the model uses one of the listed fields: weight and height
+    // estimate a missing BMI (DiabetesRiskEngine.ESTIMATES), and the BMI points to
+    // the waist range that goes with it while the waist is empty (waistRangeForBmi).
+    ESTIMATION_INPUTS: {
+        weight: ['bmi', 'waist'],
+        height: ['bmi', 'waist'],
+        bmi: ['waist']
     },
 
-    // Unit Conversions
-    CONVERSIONS: {
-        heightToCm: 2.54,
-        waistToCm: 2.54,
-        gluToMmol: 1 / 18,
-        hdlToMmol: 1 / 38.67,
-        triToMmol: 1 / 88.57
+    // Built-in guideline profile, the only copy of the ADA data: its metadata here,
+    // its data in RISK_CATEGORIES, THRESHOLDS and TREATMENTS. guidelines.json adds
+    // profiles on top of it, or replaces it with one of the same id (section 16).
+    GUIDELINE: {
+        id: 'ada',
+        name: 'ADA 2024 · ACC/AHA 2017 · WHO',
+        version: '2024',
+        date: '2023-12-11',
+        citations: [
+            'American Diabetes Association Professional Practice Committee. 2. Diagnosis and Classification of Diabetes: Standards of Care in Diabetes—2024. Diabetes Care 2024;47(Suppl 1):S20-S42',
+            'Whelton PK et al. 2017 ACC/AHA Guideline for the Prevention, Detection, Evaluation, and Management of High Blood Pressure in Adults. Hypertension 2018;71:e13-e115',
+            'Expert Panel on Detection, Evaluation, and Treatment of High Blood Cholesterol in Adults. Executive Summary of the Third Report (ATP III). JAMA 2001;285:2486-2497',
+            'WHO. Waist circumference and waist-hip ratio: report of a WHO expert consultation. Geneva 2008',
+            'WHO. Obesity: preventing and managing the global epidemic. WHO Technical Report Series 894, 2000'
+        ]
     },
 
-    // Slider Limits [min, max, step]
-    RANGES: {
-        age: { us: [20, 80, 1], si: [20, 80, 1] },
-        sbp: { us: [90, 200, 1], si: [90, 200, 1] },
-        height: { us: [48, 84, 1], si: [122, 213, 1] },      // 48-84 in * 2.54
-        waist: { us: [25, 60, 1], si: [64, 152, 1] },        // 25-60 in * 2.54
-        fastGlu: { us: [50, 300, 1], si: [2.8, 16.7, 0.1] }, // 50-300 mg/dL / 18
-        cholHDL: { us: [20, 100, 1], si: [0.5, 2.6, 0.1] },  // 20-100 mg/dL / 38.67
-        cholTri: { us: [50, 500, 1], si: [0.6, 5.6, 0.1] }   // 50-500 mg/dL / 88.57
+    // Risk categories by predicted probability (lower bound in %), labelled by `category.${cls}`
+    // (or the category's own `label`)
+    RISK_CATEGORIES: [
+        { min: 0, cls: 'low', color: '#22c55e' },
+        { min: 10, cls: 'moderate', color: '#eab308' },
+        { min: 25, cls: 'high', color: '#f97316' },
+        { min: 50, cls: 'very-high', color: '#ef4444' }
+    ],
+
+    // Contribution chart: half-width of the absolute log-odds axis
+    CHART: {
+        LOG_ODDS_AXIS: 3
+    },
+
+    // Treatment heatmap: predicted risk (%) over fasting glucose (mmol/L, 50-200 mg/dL);
+    // risks above RISK_MAX are drawn at the top edge.
+    // Zones are matched in order by their bounds (min inclusive, max exclusive, missing
+    // = open) and labelled by `heatmap.${id}`. Glucose bounds name a level of the active
+    // guideline's fastGlu thresholds, risk bounds the `cls` of one of its risk categories.
+    HEATMAP: {
+        GLUCOSE: [2.8, 11.1],
+        RISK_MAX: 75,
+        CURVE_STEPS: 60,
+        ZONES: [
+            { id: 'zone4', minGlucose: 'high', maxRisk: 'high' },
+            { id: 'zone5', minGlucose: 'elevated', minRisk: 'high' },
+            { id: 'zone3', minRisk: 'high' },
+            { id: 'zone2', minGlucose: 'elevated' },
+            { id: 'zone2', minRisk: 'moderate' },
+            { id: 'zone1' }
+        ]
+    },
+
+    // Sensitivity panel: samples per risk curve
+    SENSITIVITY: {
+        STEPS: 40
     },
 
-    // Display Labels for the Chart
-    LABELS: {
-        age: 'Age',
-        race: 'Race',
-        parentHist: 'Parental Diabetes History',
-        sbp: 'Blood Pressure',
-        waist: 'Waist Size',
-        height: 'Height',
-        fastGlu: 'Glucose',
-        cholHDL: 'Good Cholesterol (HDL)',
-        cholTri: 'Triglycerides'
+    // Patient view: people in the icon array, risk-raising factors explained, and
+    // lifestyle tips (`patient.tip.${therapy id}`) for model inputs without a treatment
+    PATIENT: {
+        PEOPLE: 100,
+        TOP_FACTORS: 3,
+        TIPS: { physActivity: 'aerobic', vegFruit: 'dash', bmi: 'caloricDeficit' }
     },
 
+    // Factors a patient can change (used by the what-if comparison and sensitivity panel)
+    MODIFIABLE: ['sbp', 'waist', 'fastGlu', 'cholHDL', 'cholTri', 'bmi', 'physActivity', 'vegFruit', 'bpMeds'],
+
     // Factor-specific treatment recommendations with scientific sources
-    // Thresholds for elevated values (in SI units for internal calculations)
+    // Thresholds for elevated values (in SI units for internal calculations).
+    // `female` overrides apply to women; the same table colors the slider tracks.
     THRESHOLDS: {
         fastGlu: { elevated: 5.6, high: 7.0 },      // mmol/L - ADA 2024 criteria
         sbp: { elevated: 130, high: 140 },           // mmHg - ACC/AHA 2017
-        cholHDL: { low: 1.0, veryLow: 0.8 },         // mmol/L (inverse - low is bad)
+        cholHDL: {                                   // mmol/L (inverse - low is bad)
+            low: 1.0, veryLow: 0.8,
+            female: { low: 1.3, veryLow: 1.0 }       // NCEP ATP III / IDF
+        },
         cholTri: { elevated: 1.7, high: 2.3 },       // mmol/L - AHA guidelines
-        waist: { elevated: 94, high: 102 }           // cm - WHO criteria (male)
+        waist: {                                     // cm - WHO criteria
+            elevated: 94, high: 102,
+            female: { elevated: 80, high: 88 }
+        },
+        bmi: { elevated: 25, high: 30 },             // kg/m² - WHO
+        hba1c: { elevated: 38.7, high: 47.5 }        // mmol/mol - ADA 2024 (5.7 %, 6.5 %), not scored
     },
 
-    // Treatment recommendations for each factor
+    // Ethnicity options: `race` is the ARIC equation's binary term (1 = Black),
+    // `thresholds` override THRESHOLDS for the group (IDF 2006 waist cut-offs,
+    // WHO 2004 Asian BMI cut-offs). Ids match the models' `populations` and
+    // the `ethnicity.${id}` messages.
+    ETHNICITIES: [
+        { id: 'white', race: 0 },
+        { id: 'black', race: 1 },
+        { id: 'african', race: 1 },
+        {
+            id: 'south-asian', race: 0,
+            thresholds: { waist: { elevated: 90, female: { elevated: 80 } }, bmi: { elevated: 23, high: 27.5 } }
+        },
+        {
+            id: 'east-asian', race: 0,
+            thresholds: { waist: { elevated: 90, female: { elevated: 80 } }, bmi: { elevated: 23, high: 27.5 } }
+        },
+        {
+            // IDF: use the South Asian waist cut-offs until specific data are available
+            id: 'hispanic', race: 0,
+            thresholds: { waist: { elevated: 90, female: { elevated: 80 } } }
+        },
+        { id: 'middle-eastern', race: 0 },
+        { id: 'other', race: 0 }
+    ],
+
+    // Treatment recommendations for each factor; titles are the `treatment.${factor}`
+    // messages, therapy names and descriptions `therapy.${id}.name` / `.desc` (or the
+    // therapy's own `name` / `desc`)
+    // lifestyle: changes the patient makes without medication (listed first in the patient view)
+    // levels: threshold levels the therapy is recommended at (all when left out);
+    // the `escalation.${factor}` message (or the treatment's own `escalation`) is
+    // shown at the factor's top level (high / veryLow)
+    // effects: approximate placebo-adjusted average changes reported in `source`,
+    // in SI units ({ field, change }) or as a fraction ({ field, relative })
     TREATMENTS: {
         fastGlu: {
             id: 'glucose-treatment',
             icon: 'bloodtype',
-            title: 'Glucose Management',
             therapies: [
-                { name: 'Metformin', desc: 'First-line for elevated glucose (HbA1c ≥6.5%)' },
-                { name: 'GLP-1 RA', desc: 'Semaglutide/Tirzepatide for glycemic control + weight loss' },
-                { name: 'SGLT2i', desc: 'Empagliflozin reduces glucose via urinary excretion' }
+                {
+                    id: 'lifestyle',
+                    lifestyle: true,
+                    effects: [
+                        { field: 'fastGlu', change: -0.2 }, { field: 'waist', change: -5 },
+                        { field: 'bmi', relative: -0.06 }
+                    ],
+                    source: 'Knowler WC et al. (DPP). N Engl J Med 2002;346:393-403'
+                },
+                {
+                    id: 'metformin',
+                    effects: [{ field: 'fastGlu', change: -0.3 }, { field: 'bmi', relative: -0.02 }],
+                    source: 'DPP Research Group. N Engl J Med 2002;346:393-403'
+                },
+                {
+                    id: 'glp1',
+                    levels: ['high'],
+                    effects: [
+                        { field: 'waist', change: -9.4 }, { field: 'bmi', relative: -0.124 },
+                        { field: 'fastGlu', change: -0.4 }, { field: 'sbp', change: -5.1 },
+                        { field: 'cholTri', relative: -0.15 }
+                    ],
+                    source: 'Wilding JPH et al. (STEP 1). N Engl J Med 2021;384:989-1002'
+                },
+                {
+                    id: 'sglt2',
+                    levels: ['high'],
+                    effects: [
+                        { field: 'fastGlu', change: -1.1 }, { field: 'sbp', change: -4 },
+                        { field: 'waist', change: -1.5 }, { field: 'bmi', relative: -0.025 }
+                    ],
+                    source: 'Roden M et al. Lancet Diabetes Endocrinol 2013;1:208-219'
+                }
             ]
         },
         sbp: {
             id: 'bp-treatment',
             icon: 'favorite',
-            title: 'Blood Pressure Control',
             therapies: [
-                { name: 'ACE-I/ARB', desc: 'First-line for diabetes + hypertension' },
-                { name: 'DASH Diet', desc: 'Dietary Approaches to Stop Hypertension' },
-                { name: 'Sodium Reduction', desc: 'Target <2300mg/day sodium intake' }
+                {
+                    id: 'aceArb',
+                    levels: ['high'],
+                    effects: [{ field: 'sbp', change: -9 }],
+                    source: 'Law MR, Morris JK, Wald NJ. BMJ 2009;338:b1665'
+                },
+                {
+                    id: 'dash',
+                    lifestyle: true,
+                    effects: [{ field: 'sbp', change: -5.5 }],
+                    source: 'Appel LJ et al. N Engl J Med 1997;336:1117-1124'
+                },
+                {
+                    id: 'sodium',
+                    lifestyle: true,
+                    effects: [{ field: 'sbp', change: -4.2 }],
+                    source: 'He FJ, Li J, MacGregor GA. BMJ 2013;346:f1325'
+                }
             ]
         },
         cholHDL: {
             id: 'hdl-treatment',
             icon: 'water_drop',
-            title: 'HDL Cholesterol Improvement',
             therapies: [
-                { name: 'Aerobic Exercise', desc: '150 min/week increases HDL 5-10%' },
-                { name: 'Smoking Cessation', desc: 'Raises HDL by 5-10% within weeks' },
-                { name: 'Omega-3 Fatty Acids', desc: 'EPA/DHA supplementation modestly raises HDL' }
+                {
+                    id: 'aerobic',
+                    lifestyle: true,
+                    effects: [{ field: 'cholHDL', change: 0.065 }],
+                    source: 'Kodama S et al. Arch Intern Med 2007;167:999-1008'
+                },
+                {
+                    id: 'smoking',
+                    lifestyle: true,
+                    effects: [{ field: 'cholHDL', change: 0.1 }],
+                    source: 'Maeda K, Noguchi Y, Fukui T. Prev Med 2003;37:283-290'
+                },
+                {
+                    id: 'omega3',
+                    effects: [{ field: 'cholHDL', change: 0.03 }, { field: 'cholTri', relative: -0.2 }],
+                    source: 'Skulas-Ray AC et al. Circulation 2019;140:e673-e691'
+                }
             ]
         },
         cholTri: {
             id: 'tri-treatment',
             icon: 'science',
-            title: 'Triglyceride Reduction',
             therapies: [
-                { name: 'Icosapent Ethyl', desc: 'REDUCE-IT: 25% CV risk reduction' },
-                { name: 'Weight Loss', desc: '5-10% loss reduces TG by 20%' },
-                { name: 'Limit Refined Carbs', desc: 'Reduce sugar/alcohol to lower TG' }
+                {
+                    id: 'icosapent',
+                    levels: ['high'],
+                    effects: [{ field: 'cholTri', relative: -0.2 }],
+                    source: 'Bhatt DL et al. (REDUCE-IT). N Engl J Med 2019;380:11-22'
+                },
+                {
+                    id: 'weightLoss',
+                    lifestyle: true,
+                    effects: [
+                        { field: 'cholTri', relative: -0.2 }, { field: 'waist', change: -5 },
+                        { field: 'bmi', relative: -0.07 }
+                    ],
+                    source: 'Wing RR et al. (Look AHEAD). Diabetes Care 2011;34:1481-1486'
+                },
+                {
+                    id: 'refinedCarbs',
+                    lifestyle: true,
+                    effects: [{ field: 'cholTri', relative: -0.1 }],
+                    source: 'Miller M et al. AHA Scientific Statement. Circulation 2011;123:2292-2333'
+                }
             ]
         },
         waist: {
             id: 'waist-treatment',
             icon: 'straighten',
-            title: 'Central Obesity Management',
             therapies: [
-                { name: 'Tirzepatide', desc: '20% weight loss in SURMOUNT trials' },
-                { name: 'Caloric Deficit', desc: '500-750 kcal/day deficit for weight loss' },
-                { name: 'Bariatric Surgery', desc: 'Consider if BMI >35 with comorbidities' }
+                {
+                    id: 'tirzepatide',
+                    levels: ['high'],
+                    effects: [
+                        { field: 'waist', change: -14.5 }, { field: 'bmi', relative: -0.178 },
+                        { field: 'sbp', change: -6.2 }, { field: 'fastGlu', change: -0.6 },
+                        { field: 'cholTri', relative: -0.24 }, { field: 'cholHDL', change: 0.08 }
+                    ],
+                    source: 'Jastreboff AM et al. (SURMOUNT-1). N Engl J Med 2022;387:205-216'
+                },
+                {
+                    id: 'caloricDeficit',
+                    lifestyle: true,
+                    effects: [
+                        { field: 'waist', change: -4 }, { field: 'bmi', relative: -0.05 },
+                        { field: 'cholTri', relative: -0.1 }
+                    ],
+                    source: 'Jensen MD et al. AHA/ACC/TOS Obesity Guideline. Circulation 2014;129:S102-S138'
+                },
+                {
+                    id: 'bariatric',
+                    levels: ['high'],
+                    effects: [
+                        { field: 'waist', change: -25 }, { field: 'bmi', relative: -0.25 },
+                        { field: 'fastGlu', change: -1.0 }, { field: 'sbp', change: -8 },
+                        { field: 'cholTri', relative: -0.4 }, { field: 'cholHDL', change: 0.2 }
+                    ],
+                    source: 'Buchwald H et al. JAMA 2004;292:1724-1737'
+                }
             ]
         }
     }
 };
 
+// Built-in guideline profile, used until guidelines.json has loaded
+const BUILT_IN_GUIDELINE = {
+    ...CONFIG.GUIDELINE,
+    riskCategories: CONFIG.RISK_CATEGORIES,
+    thresholds: CONFIG.THRESHOLDS,
+    treatments: CONFIG.TREATMENTS
+};
+
 // State
 let state = {
-    useMetric: false
+    units: getUnitPreset('us'),  // Unit id per converted field, e.g. { fastGlu: 'mg/dL', ... }
+    model: DiabetesRiskEngine.MODELS.DEFAULT_MODEL,
+    urlHash: '',
+    lastResult: null,
+    guideline: BUILT_IN_GUIDELINE,   // Active guideline profile: categories, thresholds, treatments
+    imputed: {},                // Estimated model inputs -> the entered inputs they came from
+    absoluteScale: false,       // Contribution bars on a fixed log-odds axis instead of the largest bar
+    profileId: null,
+    baseline: null,
+    selectedTherapies: [],      // `${factor}:${therapy id}` keys ticked in the simulator
+    goalTarget: null,           // Goal solver target in %; null = below the current category
+    patientView: false,         // Plain-language result for patients instead of the clinician cards
+    indicatedFactors: [],
+    indicatedLevels: {},        // Threshold level of each indicated factor, e.g. { sbp: 'high' }
+    fhirSource: null,           // Last imported FHIR Bundle (patient and observation references)
+    batch: null                 // Uploaded CSV: { fileName, headers, rows, mapping, units, scored, model }
 };
 
+// Input fields by control type (ids: `${field}-slider`/`-value` or `${field}-toggle`)
+const SLIDER_FIELDS = ['age', 'sbp', 'height', 'waist', 'fastGlu', 'cholHDL', 'cholTri', 'bmi'];
+const TOGGLE_FIELDS = ['parentHist', 'sex', 'relativeHist', 'gestDiab', 'hypertension', 'bpMeds', 'highGluHist', 'physActivity', 'vegFruit'];
+const SELECT_FIELDS = ['ethnicity'];   // id `${field}-select`; `race` is derived from ethnicity
+const OPTIONAL_FIELDS = ['hba1c', 'weight'];   // Text only (`${field}-value`), empty unless entered
+
+// Messages and number formatting in the active locale (i18n.js, locales/*.js)
+const t = DiabetesI18n.t;
+const formatNumber = DiabetesI18n.formatNumber;
+
 // ============================================
 // 2. INITIALIZATION
 // ============================================
 
 document.addEventListener('DOMContentLoaded', () => {
+    // Language before any text is rendered
+    initLocale();
+
+    labelInputGroups();
+
+    // Options first, so a shared scenario can select them
+    populateEthnicitySelect();
+    populateGoalSelect();
+    Object.keys(DiabetesRiskEngine.UNITS).forEach(populateUnitSelect);
+
+    // Restore a shared scenario from the URL before the first calculation
+    restoreUrlState();
+
     // Initialize slider fills
-    ['age', 'sbp', 'height', 'waist', 'fastGlu', 'cholHDL', 'cholTri'].forEach(updateSliderFill);
+    SLIDER_FIELDS.forEach(updateSliderFill);
     
+    populateModelSelect();
+    populateProfileSelect();
+    initVisitDate();
+    applyModelInputs();
     calculateRisk();
+
+    // Guideline profiles arrive later and re-score once loaded
+    loadGuidelines();
+
     const unitToggle = document.getElementById('unit-toggle');
     if (unitToggle) unitToggle.addEventListener('change', toggleUnits);
+    window.addEventListener('hashchange', onHashChange);
 });
 
 // ============================================
@@ -157,94 +387,170 @@ document.addEventListener('DOMContentLoaded', () => {
 // ============================================
 
 window.toggleUnits = function() {
-    const wasMetric = state.useMetric;
-    state.useMetric = document.getElementById('unit-toggle').checked;
-    
-    // Only convert if the unit system actually changed
-    if (wasMetric !== state.useMetric) {
-        // FIRST: Save current values BEFORE changing ranges (to avoid browser clamping)
-        const savedValues = {};
-        const fields = ['height', 'waist', 'fastGlu', 'cholHDL', 'cholTri'];
-        fields.forEach(field => {
-            savedValues[field] = parseFloat(document.getElementById(`${field}-value`).value);
-        });
-        
-        // Toggle label weights
-        document.getElementById('unit-label-us').style.fontWeight = state.useMetric ? '400' : '700';
-        document.getElementById('unit-label-si').style.fontWeight = state.useMetric ? '700' : '400';
+    applyUnits(document.getElementById('unit-toggle').checked ? 'si' : 'us');
+    calculateRisk();
+};
 
-        updateUnitLabels();
-        
-        // Update slider ranges
-        updateSliderRangesOnly();
-        
-        // Convert and apply saved values
-        convertSavedValues(savedValues);
-        
-        // Update all slider fills
-        ['height', 'waist', 'fastGlu', 'cholHDL', 'cholTri', 'age', 'sbp'].forEach(updateSliderFill);
-    }
-    
+window.selectUnit = function(field, unit) {
+    setFieldUnit(field, unit);
     calculateRisk();
 };
 
-function convertSavedValues(savedValues) {
-    const conv = CONFIG.CONVERSIONS;
-    const mode = state.useMetric ? 'si' : 'us';
-    
-    Object.keys(savedValues).forEach(field => {
-        const input = document.getElementById(`${field}-value`);
+// { field: unit id } of a unit system ('us' or 'si') for every converted field
+function getUnitPreset(system) {
+    const units = {};
+    Object.keys(DiabetesRiskEngine.UNITS).forEach(field => {
+        units[field] = DiabetesRiskEngine.getUnit(field, system).id;
+    });
+    return units;
+}
+
+// Applies 'us', 'si' or { field: unit id or system }; unknown or missing units are left alone
+function applyUnits(units) {
+    Object.keys(DiabetesRiskEngine.UNITS).forEach(field => {
+        const id = units && typeof units === 'object' ? units[field] : units;
+        const unit = DiabetesRiskEngine.UNITS[field].find(u => u.id === id || u.system === id);
+        if (unit) setFieldUnit(field, unit.id);
+    });
+}
+
+// Changes the unit of one field, converting its current value along with it
+function setFieldUnit(field, unit) {
+    const previous = state.units[field];
+    const value = readNumber(field);
+    state.units[field] = unit;
+    updateFieldUnit(field);
+
+    if (previous !== unit && !isNaN(value)) {
+        const si = DiabetesRiskEngine.toSI({ [field]: value }, { [field]: previous });
+        const converted = DiabetesRiskEngine.fromSI(si, state.units)[field];
+        const rounded = roundToStep(converted, getRange(field)[2]);
         const slider = document.getElementById(`${field}-slider`);
-        let val = savedValues[field];
-        
-        // Convert the value based on the NEW unit system
-        if (state.useMetric) {
-            // Was US, now SI -> multiply to convert
-            if (field === 'height' || field === 'waist') val *= conv.heightToCm;
-            if (field === 'fastGlu') val *= conv.gluToMmol;
-            if (field === 'cholHDL') val *= conv.hdlToMmol;
-            if (field === 'cholTri') val *= conv.triToMmol;
-        } else {
-            // Was SI, now US -> divide to convert
-            if (field === 'height' || field === 'waist') val /= conv.heightToCm;
-            if (field === 'fastGlu') val /= conv.gluToMmol;
-            if (field === 'cholHDL') val /= conv.hdlToMmol;
-            if (field === 'cholTri') val /= conv.triToMmol;
-        }
-        
-        // Get the range for clamping
-        const range = CONFIG.RANGES[field][mode];
-        const min = range[0];
-        const max = range[1];
-        const step = range[2];
-        
-        // Clamp to range
-        if (val < min) val = min;
-        if (val > max) val = max;
-        
-        // Round appropriately
-        if (step < 1) {
-            val = parseFloat(val.toFixed(1));
-        } else {
-            val = Math.round(val);
+        if (slider) slider.value = rounded;
+        document.getElementById(`${field}-value`).value = formatNumber(rounded);
+    }
+    updateSliderFill(field);
+    updateUnitToggle();
+}
+
+// The US/SI switch is a preset: checked when every field is in SI units
+function updateUnitToggle() {
+    const system = serializeUnits(state.units);
+    const allSI = system === 'si';
+    const allUS = system === 'us';
+
+    document.getElementById('unit-toggle').checked = allSI;
+    document.getElementById('unit-label-us').style.fontWeight = allUS ? '700' : '400';
+    document.getElementById('unit-label-si').style.fontWeight = allSI ? '700' : '400';
+}
+
+/**
+ * Slider [min, max, step] of a field in `unit` (default: its selected unit).
+ * Units without a configured range get the SI range converted, with a
+ * round step of about a fiftieth of the span.
+ */
+function getRange(field, unit) {
+    const ranges = CONFIG.RANGES[field];
+    if (!DiabetesRiskEngine.UNITS[field]) return Object.values(ranges)[0];
+
+    const id = unit || state.units[field];
+    if (ranges[id]) return ranges[id];
+
+    const siUnit = DiabetesRiskEngine.getUnit(field, 'si').id;
+    const [siMin, siMax] = ranges[siUnit];
+    const ends = [siMin, siMax].map(value => DiabetesRiskEngine.fromSI({ [field]: value }, { [field]: id })[field]);
+    const step = Math.pow(10, Math.floor(Math.log10(Math.abs(ends[1] - ends[0]) / 50)));
+    return [
+        roundToStep(Math.floor(Math.min(...ends) / step) * step, step),
+        roundToStep(Math.ceil(Math.max(...ends) / step) * step, step),
+        step
+    ];
+}
+
+// Slider range in SI units, as the engine checks it
+function getSIRange(field) {
+    const unit = DiabetesRiskEngine.getUnit(field, 'si');
+    return getRange(field, unit && unit.id);
+}
+
+// Decimals of a slider step (0.1 -> 1, 0.5 -> 1, 1 -> 0)
+function stepDigits(step) {
+    return step < 1 ? String(step).split('.')[1].length : 0;
+}
+
+function roundToStep(value, step) {
+    return parseFloat(value.toFixed(stepDigits(step)));
+}
+
+// Fills a field's unit select from the unit registry
+function populateUnitSelect(field) {
+    const select = document.getElementById(`${field}-unit-select`);
+    if (!select) return;
+
+    select.innerHTML = DiabetesRiskEngine.UNITS[field]
+        .map(unit => `<option value="${unit.id}">${unit.id}</option>`)
+        .join('');
+    select.value = state.units[field];
+}
+
+// Slider range, unit labels and axis ticks of a field in its selected unit
+function updateFieldUnit(field) {
+    const unit = state.units[field];
+    const [min, max, step] = getRange(field);
+
+    const slider = document.getElementById(`${field}-slider`);
+    if (slider) {
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+    }
+    const select = document.getElementById(`${field}-unit-select`);
+    if (select) select.value = unit;
+    setLabelText(`${field}-value-unit`, unit);
+
+    const ticks = [min, (min + max) / 2, max].map(value => formatNumber(value, stepDigits(step)));
+    ['min', 'mid', 'max'].forEach((tick, i) => setLabelText(`${field}-${tick}`, ticks[i]));
+
+    // Glucose is also the heatmap's x axis
+    if (field === 'fastGlu') {
+        const [low, high] = CONFIG.HEATMAP.GLUCOSE;
+        const axis = [low, (low + high) / 2, high].map(value =>
+            formatNumber(DiabetesRiskEngine.fromSI({ fastGlu: value }, state.units).fastGlu, stepDigits(step)));
+        ['min', 'mid', 'max'].forEach((tick, i) => setLabelText(`glucose-${tick}`, axis[i]));
+        setLabelText('glucose-axis-unit', `(${unit})`);
+    }
+}
+
+// Names each input group's controls after its label: sliders, typed values and
+// toggles (plus the toggle's "on" side, e.g. "Sex Female")
+function labelInputGroups() {
+    document.querySelectorAll('.input-group[data-field]').forEach(group => {
+        const field = group.dataset.field;
+        const label = group.querySelector('.input-label');
+        if (!label) return;
+        label.id = `${field}-label`;
+
+        group.querySelectorAll('input[type="range"], input[type="text"], select:not(.unit-select)').forEach(input => {
+            input.setAttribute('aria-labelledby', label.id);
+        });
+
+        const toggle = document.getElementById(`${field}-toggle`);
+        const onLabel = group.querySelector('.toggle-label:last-child');
+        if (toggle && onLabel) {
+            onLabel.id = `${field}-on-label`;
+            toggle.setAttribute('aria-labelledby', `${label.id} ${onLabel.id}`);
         }
-        
-        input.value = val;
-        slider.value = val;
     });
 }
 
 window.updateSlider = function(field) {
     const slider = document.getElementById(`${field}-slider`);
     const input = document.getElementById(`${field}-value`);
-    let val = parseFloat(input.value);
-    
-    // Clamp
-    const min = parseFloat(slider.min), max = parseFloat(slider.max);
-    if (val < min) val = min; if (val > max) val = max;
+    const val = DiabetesI18n.parseNumber(input.value);
 
-    slider.value = val;
-    input.value = val;
+    // Typed values are kept as entered; the slider pins to its end and
+    // validation flags anything missing or out of range
+    if (!isNaN(val)) slider.value = val;
     
     updateSliderFill(field);
     calculateRisk();
@@ -253,7 +559,7 @@ window.updateSlider = function(field) {
 window.updateValue = function(field) {
     const slider = document.getElementById(`${field}-slider`);
     const input = document.getElementById(`${field}-value`);
-    input.value = slider.value;
+    input.value = formatNumber(parseFloat(slider.value));
     updateSliderFill(field);
     calculateRisk();
 };
@@ -268,255 +574,446 @@ function updateSliderFill(field) {
     fill.style.width = `${percent}%`;
 }
 
-function updateUnitLabels() {
-    const units = state.useMetric 
-        ? { h: 'cm', w: 'cm', g: 'mmol/L', c: 'mmol/L' } 
-        : { h: 'in', w: 'in', g: 'mg/dL', c: 'mg/dL' };
+function setLabelText(id, value) {
+    const el = document.getElementById(id);
+    if (el) el.textContent = value;
+}
+
+// ============================================
+// 4. RISK MODEL SELECTION
+// ============================================
+
+function populateModelSelect() {
+    const select = document.getElementById('model-select');
+    if (!select) return;
 
-    // Header labels (with parentheses for US units)
-    setUnitText('height-unit', units.h);
-    setUnitText('waist-unit', units.w);
-    setUnitText('fastGlu-unit', units.g);
-    setUnitText('cholHDL-unit', units.c);
-    setUnitText('cholTri-unit', units.c);
-    
-    // Value display labels (without parentheses)
-    setValueUnitText('height-value-unit', units.h);
-    setValueUnitText('waist-value-unit', units.w);
-    setValueUnitText('fastGlu-value-unit', units.g);
-    setValueUnitText('cholHDL-value-unit', units.c);
-    setValueUnitText('cholTri-value-unit', units.c);
-    
-    // Update slider axis labels
-    updateSliderAxisLabels();
+    select.innerHTML = DiabetesRiskEngine.listModels()
+        .map(model => `<option value="${model.id}">${modelText(model, 'name')}</option>`)
+        .join('');
+    select.value = state.model;
 }
 
-function updateSliderAxisLabels() {
-    const mode = state.useMetric ? 'si' : 'us';
-    
-    // Height
-    const heightRange = CONFIG.RANGES.height[mode];
-    setLabelText('height-min', heightRange[0]);
-    setLabelText('height-mid', Math.round((heightRange[0] + heightRange[1]) / 2));
-    setLabelText('height-max', heightRange[1]);
-    
-    // Waist
-    const waistRange = CONFIG.RANGES.waist[mode];
-    setLabelText('waist-min', waistRange[0]);
-    setLabelText('waist-mid', Math.round((waistRange[0] + waistRange[1]) / 2));
-    setLabelText('waist-max', waistRange[1]);
-    
-    // Triglycerides
-    const triRange = CONFIG.RANGES.cholTri[mode];
-    setLabelText('cholTri-min', state.useMetric ? triRange[0].toFixed(1) : triRange[0]);
-    setLabelText('cholTri-mid', state.useMetric ? ((triRange[0] + triRange[1]) / 2).toFixed(1) : Math.round((triRange[0] + triRange[1]) / 2));
-    setLabelText('cholTri-max', state.useMetric ? triRange[1].toFixed(1) : triRange[1]);
-    
-    // Glucose on heatmap
-    const gluRange = CONFIG.RANGES.fastGlu[mode];
-    setLabelText('glucose-min', state.useMetric ? gluRange[0].toFixed(1) : gluRange[0]);
-    setLabelText('glucose-mid', state.useMetric ? ((gluRange[0] + gluRange[1]) / 2).toFixed(1) : Math.round((gluRange[0] + gluRange[1]) / 2));
-    setLabelText('glucose-max', state.useMetric ? gluRange[1].toFixed(1) : gluRange[1]);
-    setLabelText('glucose-axis-unit', state.useMetric ? '(mmol/L)' : '(mg/dL)');
+window.selectModel = function(id) {
+    state.model = id;
+    applyModelInputs();
+    updateGuidelineInfo();
+    populateGoalSelect();
+    calculateRisk();
+};
+
+function populateEthnicitySelect() {
+    const select = document.getElementById('ethnicity-select');
+    if (!select) return;
+
+    const current = select.value;
+    select.innerHTML = CONFIG.ETHNICITIES
+        .map(e => `<option value="${e.id}">${t(`ethnicity.${e.id}`)}</option>`)
+        .join('');
+    select.value = current || 'white';
 }
 
-function setLabelText(id, value) {
-    const el = document.getElementById(id);
-    if (el) el.textContent = value;
+function getEthnicity() {
+    const select = document.getElementById('ethnicity-select');
+    return CONFIG.ETHNICITIES.find(e => select && e.id === select.value) || CONFIG.ETHNICITIES[0];
 }
 
-function setUnitText(id, text) {
-    const el = document.getElementById(id);
-    if (el) el.textContent = text.includes('mmol') ? text : `(${text})`;
+function getActiveModel() {
+    return DiabetesRiskEngine.getModel(state.model);
 }
 
-function setValueUnitText(id, text) {
-    const el = document.getElementById(id);
-    if (el) el.textContent = text;
+// Fields asked for a model: its inputs, the inputs its measurements can be estimated
+// from, and sex and ethnicity, which select the thresholds behind the recommendations
+function isFieldShown(model, field) {
+    const estimates = CONFIG.ESTIMATION_INPUTS[field] || [];
+    return model.inputs.includes(field) || estimates.some(target => model.inputs.includes(target))
+        || field === 'sex' || field === 'ethnicity' || field === 'hba1c';
 }
 
-function convertInputValues() {
-    const fields = ['height', 'waist', 'fastGlu', 'cholHDL', 'cholTri'];
-    const conv = CONFIG.CONVERSIONS;
-    const mode = state.useMetric ? 'si' : 'us';
-    
-    fields.forEach(field => {
-        const input = document.getElementById(`${field}-value`);
-        const slider = document.getElementById(`${field}-slider`);
-        let val = parseFloat(input.value);
-        
-        // Convert the value
-        if (state.useMetric) {
-            // US -> SI
-            if (field === 'height' || field === 'waist') val *= conv.heightToCm;
-            if (field === 'fastGlu') val *= conv.gluToMmol;
-            if (field === 'cholHDL') val *= conv.hdlToMmol;
-            if (field === 'cholTri') val *= conv.triToMmol;
-        } else {
-            // SI -> US
-            if (field === 'height' || field === 'waist') val /= conv.heightToCm;
-            if (field === 'fastGlu') val /= conv.gluToMmol;
-            if (field === 'cholHDL') val /= conv.hdlToMmol;
-            if (field === 'cholTri') val /= conv.triToMmol;
-        }
-        
-        // Get the range for clamping
-        const range = CONFIG.RANGES[field][mode];
-        const min = range[0];
-        const max = range[1];
-        const step = range[2];
-        
-        // Clamp to range
-        if (val < min) val = min;
-        if (val > max) val = max;
-        
-        // Round appropriately
-        if (step < 1) {
-            val = parseFloat(val.toFixed(1));
-        } else {
-            val = Math.round(val);
+// Show only the input fields the selected model needs
+function applyModelInputs() {
+    const model = getActiveModel();
+
+    document.querySelectorAll('.input-group[data-field]').forEach(group => {
+        group.style.display = isFieldShown(model, group.dataset.field) ? '' : 'none';
+    });
+
+    // Hide section dividers left without any visible field
+    document.querySelectorAll('.input-panel .section-divider').forEach(divider => {
+        let hasVisible = false;
+        let el = divider.nextElementSibling;
+        while (el && !el.classList.contains('section-divider')) {
+            if (el.dataset.field && el.style.display !== 'none') hasVisible = true;
+            el = el.nextElementSibling;
         }
-        
-        input.value = val;
-        slider.value = val;
+        divider.style.display = hasVisible ? '' : 'none';
     });
+
+    const title = document.getElementById('risk-title');
+    if (title) title.textContent = model.horizon ? t('risk.title', { years: model.horizon }) : t('risk.screeningTitle');
+
+    // Batch mapping rows follow the model's inputs
+    if (state.batch) renderBatchMapping();
 }
 
-function updateSliderRangesOnly() {
-    const mode = state.useMetric ? 'si' : 'us';
-    Object.keys(CONFIG.RANGES).forEach(field => {
+// ============================================
+// 5. RISK CALCULATION
+// ============================================
+
+// Typed value of a numeric field (either decimal separator); NaN when empty or unreadable (flagged by validation)
+function readNumber(field) {
+    return DiabetesI18n.parseNumber(document.getElementById(`${field}-value`).value);
+}
+
+// Current raw inputs in the active unit system
+function readInputs() {
+    return {
+        age: readNumber('age'),
+        ethnicity: getEthnicity().id,
+        race: getEthnicity().race,
+        parentHist: document.getElementById('parentHist-toggle').checked ? 1 : 0,
+        sbp: readNumber('sbp'),
+        height: readNumber('height'),
+        waist: readNumber('waist'),
+        fastGlu: readNumber('fastGlu'),
+        cholHDL: readNumber('cholHDL'),
+        cholTri: readNumber('cholTri'),
+        sex: document.getElementById('sex-toggle').checked ? 'female' : 'male',
+        bmi: readNumber('bmi'),
+        relativeHist: document.getElementById('relativeHist-toggle').checked ? 1 : 0,
+        gestDiab: document.getElementById('gestDiab-toggle').checked ? 1 : 0,
+        hypertension: document.getElementById('hypertension-toggle').checked ? 1 : 0,
+        bpMeds: document.getElementById('bpMeds-toggle').checked ? 1 : 0,
+        highGluHist: document.getElementById('highGluHist-toggle').checked ? 1 : 0,
+        physActivity: document.getElementById('physActivity-toggle').checked ? 1 : 0,
+        vegFruit: document.getElementById('vegFruit-toggle').checked ? 1 : 0,
+        hba1c: readNumber('hba1c'),
+        weight: readNumber('weight')
+    };
+}
+
+// Applies raw inputs (active unit system) to the sliders and toggles
+function writeInputs(inputs) {
+    SLIDER_FIELDS.forEach(field => {
         const slider = document.getElementById(`${field}-slider`);
         const input = document.getElementById(`${field}-value`);
-        const range = CONFIG.RANGES[field][mode];
-
-        if (slider && range) {
-            slider.min = range[0];
-            slider.max = range[1];
-            slider.step = range[2];
-            input.min = range[0];
-            input.max = range[1];
-            input.step = range[2];
-        }
+        if (!slider || !input) return;
+
+        // null (saved while empty, or not imported) empties the field; NaN keeps it
+        if (inputs[field] === null) input.value = '';
+        if (inputs[field] === undefined || inputs[field] === null || isNaN(inputs[field])) return;
+
+        // Kept as given, like typed values; validation flags out-of-range ones
+        const val = parseFloat(inputs[field]);
+        slider.value = val;
+        input.value = formatNumber(val);
+        updateSliderFill(field);
     });
-}
 
-function updateSliderRanges() {
-    const mode = state.useMetric ? 'si' : 'us';
-    Object.keys(CONFIG.RANGES).forEach(field => {
-        const slider = document.getElementById(`${field}-slider`);
+    // null or NaN (saved while empty) clears an optional field
+    OPTIONAL_FIELDS.forEach(field => {
         const input = document.getElementById(`${field}-value`);
-        const range = CONFIG.RANGES[field][mode];
-
-        if (slider && range) {
-            slider.min = range[0];
-            slider.max = range[1];
-            slider.step = range[2];
-            input.min = range[0];
-            input.max = range[1];
-            input.step = range[2];
-            updateSliderFill(field);
-        }
+        if (inputs[field] === undefined || !input) return;
+        input.value = formatNumber(parseFloat(inputs[field]));
     });
-}
 
-// ============================================
-// 4. RISK CALCULATION
-// ============================================
+    TOGGLE_FIELDS.forEach(field => {
+        if (inputs[field] === undefined) return;
+        const toggle = document.getElementById(`${field}-toggle`);
+        if (!toggle) return;
+
+        if (field === 'sex') toggle.checked = inputs.sex === 'female';
+        else toggle.checked = Number(inputs[field]) === 1;
+    });
+
+    const ethnicitySelect = document.getElementById('ethnicity-select');
+    if (!ethnicitySelect) return;
+    if (inputs.ethnicity !== undefined && CONFIG.ETHNICITIES.some(e => e.id === inputs.ethnicity)) {
+        ethnicitySelect.value = inputs.ethnicity;
+    } else if (inputs.race !== undefined && Number(inputs.race) !== getEthnicity().race) {
+        // Scenarios saved before the ethnicity selector only carry the binary race term
+        ethnicitySelect.value = Number(inputs.race) === 1 ? 'black' : 'white';
+    }
+}
 
 window.calculateRisk = function() {
-    // Get Inputs
-    const inputs = {
-        age: parseFloat(document.getElementById('age-value').value) || 0,
-        race: document.getElementById('race-toggle').checked ? 0 : 1, 
-        parentHist: document.getElementById('parentHist-toggle').checked ? 1 : 0,
-        sbp: parseFloat(document.getElementById('sbp-value').value) || 0,
-        height: parseFloat(document.getElementById('height-value').value) || 0,
-        waist: parseFloat(document.getElementById('waist-value').value) || 0,
-        fastGlu: parseFloat(document.getElementById('fastGlu-value').value) || 0,
-        cholHDL: parseFloat(document.getElementById('cholHDL-value').value) || 0,
-        cholTri: parseFloat(document.getElementById('cholTri-value').value) || 0
-    };
+    const inputs = readInputs();
+    updateThresholdSegments();
+
+    // Empty measurements estimated from the alternative inputs, in SI
+    const estimated = estimateInputs(inputs, state.units);
+    state.imputed = estimated.imputed;
+    updateImputedUI(estimated);
+    updateWaistHint(estimated.inputs);
+    updateHba1cInfo(estimated.inputs);
+
+    // Refuse to score missing or implausible values
+    const validation = DiabetesRiskEngine.validateInputs(estimated.inputs, {
+        model: state.model,
+        ranges: getSupportedRanges()
+    });
+    updateValidationUI(validation);
+    if (!validation.valid) {
+        state.lastResult = null;
+        updateInvalidUI();
+        announceRisk(t('validation.checkInputs'));
+        return;
+    }
 
-    // Normalize to Metric for Model
-    let mVals = { ...inputs };
-    if (!state.useMetric) {
-        mVals.height = inputs.height * CONFIG.CONVERSIONS.heightToCm;
-        mVals.waist = inputs.waist * CONFIG.CONVERSIONS.waistToCm;
-        mVals.fastGlu = inputs.fastGlu * CONFIG.CONVERSIONS.gluToMmol;
-        mVals.cholHDL = inputs.cholHDL * CONFIG.CONVERSIONS.hdlToMmol;
-        mVals.cholTri = inputs.cholTri * CONFIG.CONVERSIONS.triToMmol;
-    }
-
-    // Calculate Score
-    const B = CONFIG.BETAS;
-    const score = B.sigma + 
-        (B.age * mVals.age) + (B.race * mVals.race) + (B.parentHist * mVals.parentHist) +
-        (B.sbp * mVals.sbp) + (B.waist * mVals.waist) + (B.height * mVals.height) +
-        (B.fastGlu * mVals.fastGlu) + (B.cholHDL * mVals.cholHDL) + (B.cholTri * mVals.cholTri);
-
-    const probability = 1 / (1 + Math.exp(-score));
-
-    // Calculate Contributions (Mean Centered)
-    const M = CONFIG.MEANS;
-    const contributions = {
-        age: B.age * (mVals.age - M.age),
-        race: B.race * (mVals.race - M.race),
-        parentHist: B.parentHist * (mVals.parentHist - M.parentHist),
-        sbp: B.sbp * (mVals.sbp - M.sbp),
-        waist: B.waist * (mVals.waist - M.waist),
-        height: B.height * (mVals.height - M.height),
-        fastGlu: B.fastGlu * (mVals.fastGlu - M.fastGlu),
-        cholHDL: B.cholHDL * (mVals.cholHDL - M.cholHDL),
-        cholTri: B.cholTri * (mVals.cholTri - M.cholTri)
-    };
+    // Score via the shared engine (risk-engine.js)
+    const result = DiabetesRiskEngine.computeRisk(estimated.inputs, { model: state.model });
+    const probability = result.probability;
+    const contributions = result.contributions;
+    state.lastResult = result;
 
-    updateRiskUI(probability * 100);
-    updateChartUI(contributions);
-    updateHeatmapWithContributions(contributions, probability * 100);
+    // Frozen what-if baseline, re-scored with the current model
+    const baselineResult = state.baseline ? scoreInputs(state.baseline.inputs, state.baseline.units) : null;
+
+    if (probability === null) {
+        updateScoreUI(result);
+    } else {
+        updateRiskUI(probability * 100);
+    }
+    updateModelInfo(result);
+    updateChartUI(contributions, baselineResult && baselineResult.contributions, result.model.type === 'points');
+    updateScenarioUI(baselineResult, result);
+    updateSensitivityUI(result);
+    updateHeatmap(result);
+    updateGoalUI();
+    updatePatientView(result);
+    updateHistoryUI();
+    syncUrlState(inputs);
+
+    const text = id => document.getElementById(id).textContent;
+    announceRisk(`${text('risk-title')}: ${text('risk-percentage')}${text('risk-unit')}, ${text('risk-category')}`);
 };
 
+// Screen-reader announcement of the result, once a slider comes to rest
+let announceTimer = null;
+function announceRisk(message) {
+    const region = document.getElementById('risk-announcement');
+    if (!region) return;
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        if (region.textContent !== message) region.textContent = message;
+    }, 600);
+}
+
+/**
+ * Raw `inputs` (in `units`) reduced to the fields shown for the active model,
+ * with empty measurements estimated by DiabetesRiskEngine.imputeInputs.
+ * Hidden sliders keep a value, so they must not feed an estimate.
+ * Returns { inputs (SI), imputed } limited to the model's inputs.
+ */
+function estimateInputs(inputs, units) {
+    const model = getActiveModel();
+    const shown = {};
+    Object.keys(inputs).forEach(field => {
+        if (isFieldShown(model, field)) shown[field] = inputs[field];
+    });
+
+    const estimated = DiabetesRiskEngine.imputeInputs(shown, { units });
+    const imputed = {};
+    model.inputs.forEach(field => {
+        if (estimated.imputed[field]) imputed[field] = estimated.imputed[field];
+    });
+    return { inputs: estimated.inputs, imputed };
+}
+
+// Saved raw inputs scored with the active model, estimating as for the live inputs
+function scoreInputs(inputs, units) {
+    return DiabetesRiskEngine.computeRisk(estimateInputs(inputs, units).inputs, { model: state.model });
+}
+
+// Badge naming the estimated values, plus the estimate as the empty field's placeholder
+function updateImputedUI(estimated) {
+    const fields = Object.keys(estimated.imputed);
+
+    SLIDER_FIELDS.forEach(field => {
+        const input = document.getElementById(`${field}-value`);
+        if (!input) return;
+        input.placeholder = estimated.imputed[field]
+            ? `≈ ${formatNumber(DiabetesRiskEngine.fromSI(estimated.inputs, state.units)[field], stepDigits(getRange(field)[2]))}`
+            : '';
+    });
+
+    const badge = document.getElementById('risk-imputed');
+    if (!badge) return;
+    badge.hidden = !fields.length;
+    setLabelText('risk-imputed-text', t('imputation.badge', {
+        fields: fields.map(field => t('imputation.from', {
+            field: fieldLabel(field),
+            sources: estimated.imputed[field].map(fieldLabel).join(', ')
+        })).join('; ')
+    }));
+}
+
+// With the waist empty, the waist range that goes with the BMI. Only a pointer:
+// the risk stays unscored until a measured waist is entered.
+function updateWaistHint(inputs) {
+    const hint = document.getElementById('waist-hint');
+    if (!hint) return;
+    const shown = getActiveModel().inputs.includes('waist') && !isFinite(inputs.waist) && isFinite(inputs.bmi);
+    hint.hidden = !shown;
+    if (!shown) return;
+
+    const range = DiabetesRiskEngine.waistRangeForBmi(inputs.bmi, getSex());
+    const format = value => formatNumber(DiabetesRiskEngine.fromSI({ waist: value }, state.units).waist, 0);
+    const key = range.min === undefined ? 'waistHint.below' : range.max === undefined ? 'waistHint.above' : 'waistHint.between';
+    setLabelText('waist-hint', t('waistHint.text', {
+        bmi: formatNumber(inputs.bmi, 1),
+        range: t(key, { min: format(range.min), max: format(range.max), unit: getDisplayUnit('waist') })
+    }));
+}
+
+// HbA1c is not scored: shows its average glucose (ADAG) and where it falls against the guideline
+function updateHba1cInfo(inputs) {
+    const info = document.getElementById('hba1c-info');
+    if (!info) return;
+    info.hidden = !isFinite(inputs.hba1c);
+    if (info.hidden) return;
+
+    const glucose = DiabetesRiskEngine.fromSI({ fastGlu: DiabetesRiskEngine.averageGlucose(inputs.hba1c) }, state.units).fastGlu;
+    const status = getThresholdStatus('hba1c', inputs.hba1c, getSex());
+    const parts = [t('hba1c.average', {
+        glucose: formatNumber(glucose, stepDigits(getRange('fastGlu')[2])),
+        unit: getDisplayUnit('fastGlu')
+    })];
+    if (status) parts.push(t(`hba1c.${status.level}`));
+    setLabelText('hba1c-info', parts.join(' · '));
+}
+
+// Slider limits in SI, the range the calculator supports
+function getSupportedRanges() {
+    const ranges = {};
+    Object.keys(CONFIG.RANGES).forEach(field => {
+        ranges[field] = getSIRange(field).slice(0, 2);
+    });
+    return ranges;
+}
+
+// Inline field messages plus the extrapolation note under the risk
+function updateValidationUI(validation) {
+    document.querySelectorAll('.field-issue').forEach(el => el.remove());
+    document.querySelectorAll('.input-group[data-field]').forEach(group => {
+        group.classList.remove('has-error', 'has-warning');
+    });
+
+    validation.issues.forEach(issue => {
+        (issue.fields || [issue.field]).forEach(field => {
+            const group = document.querySelector(`.input-group[data-field="${field}"]`);
+            if (group) group.classList.add(issue.severity === 'error' ? 'has-error' : 'has-warning');
+        });
+
+        const group = document.querySelector(`.input-group[data-field="${issue.field}"]`);
+        if (!group) return;
+        const message = document.createElement('div');
+        message.className = `field-issue ${issue.severity}`;
+        message.textContent = formatIssue(issue);
+        group.appendChild(message);
+    });
+
+    const note = document.getElementById('risk-validation');
+    if (note) {
+        const extrapolated = validation.issues.filter(issue => issue.type === 'extrapolated' || issue.type === 'population');
+        note.textContent = validation.valid && extrapolated.length
+            ? t('validation.extrapolated', { fields: extrapolated.map(issue => fieldLabel(issue.field)).join(', ') })
+            : '';
+    }
+}
+
+function formatIssue(issue) {
+    if (issue.type === 'missing') return t('issue.missing');
+    if (issue.type === 'population') return t('issue.population', { model: modelText(getActiveModel(), 'name') });
+    if (issue.type === 'unusual') return t('issue.hdlAboveTri');
+    if (issue.fields) return t('issue.waistHeight', { ratio: formatNumber(issue.value, 2) });
+
+    const range = `${formatFactorValue(issue.field, issue.range[0])}–${formatFactorValue(issue.field, issue.range[1])} ${getDisplayUnit(issue.field)}`;
+    if (issue.type === 'implausible') return t('issue.implausible', { range });
+    return t('issue.extrapolated', { range });
+}
+
+// No risk is shown while inputs are invalid
+function updateInvalidUI() {
+    setLabelText('risk-percentage', '–');
+    setLabelText('risk-unit', '');
+
+    const catEl = document.getElementById('risk-category');
+    if (catEl) {
+        catEl.textContent = t('validation.checkInputs');
+        catEl.className = 'risk-category invalid';
+        catEl.style.color = '';
+    }
+
+    ['contribution-chart', 'sensitivity-chart', 'goal-plan', 'patient-content'].forEach(id => {
+        const chart = document.getElementById(id);
+        if (chart) chart.innerHTML = `<p class="card-description">${t('validation.notCalculated')}</p>`;
+    });
+
+    ['scenario-summary', 'treatment-projection'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.style.display = 'none';
+    });
+}
+
 // ============================================
-// 5. ENHANCED CHART UI (Tornado Plot)
+// 6. ENHANCED CHART UI (Tornado Plot)
 // ============================================
 
-function updateChartUI(contributions) {
+// `baseline` (optional) holds the frozen baseline contributions for the paired view
+function updateChartUI(contributions, baseline, isPoints) {
     const container = document.getElementById('contribution-chart');
     if (!container) return;
+    const formatValue = val => (isPoints ? t('format.points', { value: val }) : formatSigned(val, 2));
 
     container.innerHTML = ''; 
 
-    // 1. Convert to Array and Sort by Impact (Absolute Value)
+    // 1. Sort by Impact (Absolute Value)
     // This ensures the most important factors are at the top
-    const items = Object.entries(contributions).map(([key, val]) => ({
-        key,
-        val,
-        abs: Math.abs(val)
-    }));
-    
-    // Sort descending by absolute impact
-    items.sort((a, b) => b.abs - a.abs);
+    const items = sortContributions(contributions);
 
     // 2. Determine Scale
-    // Find max value to define the 100% width of the bars
-    const maxVal = Math.max(...items.map(i => i.abs)) || 0.1;
+    // Find max value to define the 100% width of the bars, or a fixed
+    // log-odds axis (widened to the next whole unit when a bar exceeds it)
+    const baselineVals = baseline ? Object.values(baseline).map(Math.abs) : [];
+    const largest = Math.max(...items.map(i => i.abs), ...baselineVals);
+    const absolute = state.absoluteScale && !isPoints;
+    const maxVal = absolute
+        ? Math.max(CONFIG.CHART.LOG_ODDS_AXIS, Math.ceil(largest))
+        : largest || 0.1;
+
+    const option = document.getElementById('absolute-scale-option');
+    if (option) option.style.display = isPoints ? 'none' : '';
 
     // 3. Render Header (Optional, for clarity)
     const header = document.createElement('div');
+    header.setAttribute('aria-hidden', 'true');
     header.style.display = 'flex';
     header.style.fontSize = '10px';
     header.style.color = '#94a3b8';
     header.style.marginBottom = '5px';
     header.innerHTML = `
         <div style="width: 35%"></div>
-        <div style="flex: 1; text-align: right; padding-right: 5px;">PROTECTIVE</div>
+        <div style="flex: 1; text-align: right; padding-right: 5px;">${t('contributions.protective')}</div>
         <div style="width: 2px"></div>
-        <div style="flex: 1; text-align: left; padding-left: 5px;">RISK</div>
+        <div style="flex: 1; text-align: left; padding-left: 5px;">${t('contributions.risk')}</div>
+        <div style="width: 48px"></div>
     `;
     container.appendChild(header);
 
+    // Rows are a list for screen readers: label, value and effect are read,
+    // the details (also shown on hover or focus) describe the row
+    const list = document.createElement('div');
+    list.setAttribute('role', 'list');
+    list.setAttribute('aria-label', t(isPoints ? 'contributions.listPoints' : 'contributions.listLogOdds'));
+    container.appendChild(list);
+
     // 4. Render Bars
     items.forEach(item => {
         const row = document.createElement('div');
+        row.className = 'tornado-row';
+        row.setAttribute('role', 'listitem');
+        row.tabIndex = 0;
+        row.setAttribute('aria-describedby', `contribution-detail-${item.key}`);
         row.style.display = 'flex';
         row.style.alignItems = 'center';
         row.style.marginBottom = '8px';
@@ -531,11 +1028,12 @@ function updateChartUI(contributions) {
         label.style.textOverflow = 'ellipsis';
         label.style.color = '#475569';
         label.style.fontWeight = '500';
-        label.textContent = CONFIG.LABELS[item.key];
+        label.textContent = fieldLabel(item.key);
 
         // CHART AREA (75%)
         // Split into Left (Negative) and Right (Positive) panes
         const chartArea = document.createElement('div');
+        chartArea.setAttribute('aria-hidden', 'true');
         chartArea.style.flex = '1';
         chartArea.style.display = 'flex';
         chartArea.style.height = '100%';
@@ -551,39 +1049,79 @@ function updateChartUI(contributions) {
         centerLine.style.backgroundColor = '#cbd5e1';
         centerLine.style.zIndex = '1';
 
-        // Calculation
-        const percentage = (item.abs / maxVal) * 100; // 0 to 100 relative to max
-        
         // Only fill half the available width (50% is max for one side)
         // Actually, we use flex boxes for left/right sides.
         
         const leftPane = document.createElement('div');
         leftPane.style.flex = '1';
         leftPane.style.display = 'flex';
-        leftPane.style.justifyContent = 'flex-end'; // Align bars to center
+        leftPane.style.flexDirection = 'column';
+        leftPane.style.gap = '2px';
         leftPane.style.paddingRight = '2px';
 
         const rightPane = document.createElement('div');
         rightPane.style.flex = '1';
         rightPane.style.display = 'flex';
-        rightPane.style.justifyContent = 'flex-start'; // Align bars to center
+        rightPane.style.flexDirection = 'column';
+        rightPane.style.gap = '2px';
         rightPane.style.paddingLeft = '2px';
 
-        const bar = document.createElement('div');
-        bar.style.height = '100%';
-        bar.style.width = `${percentage}%`;
-        bar.style.borderRadius = '3px';
-        bar.style.transition = 'width 0.3s ease';
-
-        if (item.val < 0) {
-            // Negative -> Left Pane (Green)
-            bar.style.backgroundColor = '#10b981'; // Emerald 500
-            leftPane.appendChild(bar);
-        } else {
-            // Positive -> Right Pane (Red)
-            bar.style.backgroundColor = '#ef4444'; // Red 500
-            rightPane.appendChild(bar);
-        }
+        // One slot per bar: [target], or [baseline, target] in the paired view
+        const slotValues = baseline ? [baseline[item.key] || 0, item.val] : [item.val];
+        slotValues.forEach((val, i) => {
+            const isBaseline = baseline && i === 0;
+
+            const leftSlot = document.createElement('div');
+            leftSlot.style.flex = '1';
+            leftSlot.style.display = 'flex';
+            leftSlot.style.justifyContent = 'flex-end'; // Align bars to center
+
+            const rightSlot = document.createElement('div');
+            rightSlot.style.flex = '1';
+            rightSlot.style.display = 'flex';
+            rightSlot.style.justifyContent = 'flex-start'; // Align bars to center
+
+            // Calculation
+            const percentage = (Math.abs(val) / maxVal) * 100; // 0 to 100 relative to max
+
+            const bar = document.createElement('div');
+            bar.style.height = '100%';
+            bar.style.width = `${percentage}%`;
+            bar.style.borderRadius = '3px';
+            bar.style.transition = 'width 0.3s ease';
+            if (isBaseline) bar.style.opacity = '0.35';
+
+            if (val < 0) {
+                // Negative -> Left Pane (Green, striped so it does not rely on color)
+                bar.style.backgroundColor = '#10b981'; // Emerald 500
+                bar.style.backgroundImage = 'repeating-linear-gradient(135deg, rgba(255, 255, 255, 0.45) 0 3px, transparent 3px 6px)';
+                leftSlot.appendChild(bar);
+            } else {
+                // Positive -> Right Pane (Red)
+                bar.style.backgroundColor = '#ef4444'; // Red 500
+                rightSlot.appendChild(bar);
+            }
+
+            leftPane.appendChild(leftSlot);
+            rightPane.appendChild(rightSlot);
+        });
+
+        // VALUE (Right side): the signed number carries the direction too
+        const value = document.createElement('div');
+        value.style.width = '48px';
+        value.style.textAlign = 'right';
+        value.style.fontSize = '11px';
+        value.style.color = '#475569';
+        value.style.fontVariantNumeric = 'tabular-nums';
+        value.textContent = formatValue(item.val);
+
+        // Direction and baseline in words for screen readers
+        const effect = t(item.val > 0 ? 'contributions.increases' : item.val < 0 ? 'contributions.decreases' : 'contributions.neutral');
+        const spoken = document.createElement('span');
+        spoken.className = 'sr-only';
+        spoken.textContent = baseline
+            ? `${effect}, ${t('scenario.baseline')} ${formatValue(baseline[item.key] || 0)}`
+            : effect;
 
         // Assemble
         chartArea.appendChild(leftPane);
@@ -592,118 +1130,475 @@ function updateChartUI(contributions) {
 
         row.appendChild(label);
         row.appendChild(chartArea);
-        container.appendChild(row);
+        row.appendChild(value);
+        row.appendChild(spoken);
+        row.appendChild(renderContributionDetail(item.key, item.val, isPoints));
+        list.appendChild(row);
+    });
+
+    // 5. Axis in log-odds when the scale is absolute
+    if (absolute) container.appendChild(renderLogOddsAxis(maxVal));
+}
+
+// Contributions as [{ key, val, abs }], largest absolute impact first
+// (the chart's order, also used by the patient view)
+function sortContributions(contributions) {
+    return Object.entries(contributions)
+        .map(([key, val]) => ({ key, val, abs: Math.abs(val) }))
+        .sort((a, b) => b.abs - a.abs);
+}
+
+// Hover/focus details of one factor: value, model mean, contribution, odds ratio and threshold status
+function renderContributionDetail(key, val, isPoints) {
+    const result = state.lastResult;
+    const model = result.model;
+    const siValue = result.values[key];
+    const rows = [];
+
+    let value = formatFactorValue(key, siValue);
+    if (CONFIG.RANGES[key]) value += ` ${getDisplayUnit(key)}`;
+    if (state.imputed[key]) value += ` (${t('imputation.estimated')})`;
+    rows.push([t('detail.value'), value]);
+
+    if (isPoints) {
+        rows.push([t('detail.points'), t('format.points', { value: val })]);
+    } else {
+        if (model.means && model.means[key] !== undefined) {
+            const mean = model.means[key];
+            let meanText = formatFactorValue(key, mean);
+            if (TOGGLE_FIELDS.includes(key) || key === 'race') meanText = t('detail.share', { percent: formatNumber(mean * 100, 0) });
+            else if (CONFIG.RANGES[key]) meanText += ` ${getDisplayUnit(key)}`;
+            rows.push([t('detail.mean'), meanText]);
+        }
+        rows.push([t('detail.logOdds'), formatSigned(val, 2)]);
+        rows.push([t('detail.oddsRatio'), `×${formatNumber(Math.exp(val), 2)}`]);
+    }
+
+    const status = getThresholdStatus(key, siValue, getSex());
+    if (status) {
+        const threshold = `${formatFactorValue(key, status.threshold)} ${getDisplayUnit(key)}`;
+        rows.push([t('detail.status'), t(`threshold.${status.level}`, { threshold })]);
+    }
+
+    const detail = document.createElement('div');
+    detail.className = 'tornado-detail';
+    detail.id = `contribution-detail-${key}`;
+    detail.setAttribute('role', 'tooltip');
+    detail.innerHTML = rows.map(([name, text]) => `<div><span>${name}</span> <strong>${text}</strong></div>`).join('');
+    return detail;
+}
+
+// Tick labels under the bars from -max to +max log-odds
+function renderLogOddsAxis(maxVal) {
+    const step = maxVal > 4 ? 2 : 1;
+    const ticks = [];
+    for (let v = -maxVal; v <= maxVal; v += step) ticks.push(v);
+
+    const axis = document.createElement('div');
+    axis.className = 'tornado-axis';
+    axis.setAttribute('aria-hidden', 'true');
+    axis.innerHTML = `
+        <div style="width: 35%"></div>
+        <div class="tornado-axis-scale">
+            ${ticks.map(v => `<span style="left: ${((v + maxVal) / (2 * maxVal)) * 100}%">${v === 0 ? '0' : formatSigned(v, 0)}</span>`).join('')}
+        </div>
+        <div style="width: 48px">${t('detail.logOdds')}</div>
+    `;
+    return axis;
+}
+
+window.toggleAbsoluteScale = function(checked) {
+    state.absoluteScale = checked;
+    calculateRisk();
+};
+
+// Risk curve of each continuous factor across its slider range, the other inputs held
+// fixed; factors the patient can change come first, largest possible reduction first
+function updateSensitivityUI(result) {
+    const container = document.getElementById('sensitivity-chart');
+    if (!container) return;
+    if (result.probability === null) {
+        container.innerHTML = `<p class="card-description">${t('sensitivity.unavailable')}</p>`;
+        return;
+    }
+
+    const model = result.model;
+    const risk = result.probability * 100;
+    const riskAt = (field, value) =>
+        DiabetesRiskEngine.computeRisk({ ...result.values, [field]: value }, { model }).probability * 100;
+
+    // The category below the current one, if any
+    const category = getRiskCategory(risk);
+    const lower = getRiskCategories()[getRiskCategories().indexOf(category) - 1];
+
+    const curves = model.inputs
+        .filter(field => SLIDER_FIELDS.includes(field) && isFieldShown(model, field))
+        .map(field => {
+            const [min, max] = getRange(field).slice(0, 2)
+                .map(value => DiabetesRiskEngine.toSI({ [field]: value }, state.units)[field]);
+            const steps = CONFIG.SENSITIVITY.STEPS;
+            const points = [];
+            for (let i = 0; i <= steps; i++) {
+                const value = min + (max - min) * i / steps;
+                points.push({ value, risk: riskAt(field, value) });
+            }
+            return {
+                field, min, max, points,
+                current: result.values[field],
+                lowest: Math.min(...points.map(point => point.risk)),
+                target: lower ? findSensitivityTarget(field, result.values[field], points, category.min, riskAt) : null,
+                fixed: !CONFIG.MODIFIABLE.includes(field)
+            };
+        })
+        .sort((a, b) => (a.fixed - b.fixed) || (a.lowest - b.lowest));
+
+    // One risk axis for all curves, so their slopes compare
+    const riskMax = Math.min(100, Math.max(10, Math.ceil(Math.max(...curves.map(curve =>
+        Math.max(...curve.points.map(point => point.risk)))) / 10) * 10));
+
+    container.innerHTML = curves.map(curve => {
+        const summary = [t('sensitivity.lowest', { risk: formatNumber(curve.lowest, 1) })];
+        if (lower) {
+            const name = escapeHTML(categoryLabel(lower));
+            summary.unshift(curve.target === null
+                ? t('sensitivity.unreachable', { category: name })
+                : t('sensitivity.target', { category: name, value: `${formatFactorValue(curve.field, curve.target)} ${getDisplayUnit(curve.field)}` }));
+        }
+        if (curve.fixed) summary.push(t('sensitivity.fixed'));
+
+        return `
+            <div class="sensitivity-row${curve.fixed ? ' fixed' : ''}">
+                <div class="sensitivity-header">
+                    <span class="sensitivity-label">${fieldLabel(curve.field)}</span>
+                    <span class="sensitivity-summary">${summary.join(' · ')}</span>
+                </div>
+                ${renderSensitivityCurve(curve, riskMax, risk, category.min)}
+            </div>
+        `;
+    }).join('');
+}
+
+// Value nearest to `current` whose risk falls below `limit` (bisected between samples), or null
+function findSensitivityTarget(field, current, points, limit, riskAt) {
+    const below = points.filter(point => point.risk < limit);
+    if (!below.length) return null;
+
+    let good = below.reduce((best, point) =>
+        Math.abs(point.value - current) < Math.abs(best.value - current) ? point : best).value;
+    let bad = current;
+    for (let i = 0; i < 30; i++) {
+        const mid = (good + bad) / 2;
+        if (riskAt(field, mid) < limit) good = mid; else bad = mid;
+    }
+
+    // Rounded to the slider step on the side that reaches the category
+    const step = getRange(field)[2];
+    const shown = DiabetesRiskEngine.fromSI({ [field]: good }, state.units)[field];
+    const rounded = roundToStep(Math[good > bad ? 'ceil' : 'floor'](shown / step) * step, step);
+    return DiabetesRiskEngine.toSI({ [field]: rounded }, state.units)[field];
+}
+
+// Risk over one factor inside a 300 x 72 viewBox; dashed lines are the clinical thresholds,
+// the ring the target value where the curve crosses `limit`
+function renderSensitivityCurve(curve, riskMax, risk, limit) {
+    const left = 32, right = 292, top = 6, bottom = 54;
+    const x = value => left + ((Math.min(Math.max(value, curve.min), curve.max) - curve.min) / (curve.max - curve.min)) * (right - left);
+    const y = value => bottom - (Math.min(value, riskMax) / riskMax) * (bottom - top);
+    const unit = getDisplayUnit(curve.field);
+    const format = value => `${formatFactorValue(curve.field, value)} ${unit}`;
+
+    const grid = [0, ...getRiskCategories().map(category => category.min).filter(min => min > 0 && min < riskMax), riskMax]
+        .map(v => `
+            <line x1="${left}" x2="${right}" y1="${y(v)}" y2="${y(v)}" class="trend-grid"/>
+            <text x="${left - 4}" y="${y(v) + 3}" text-anchor="end" class="trend-label">${v}%</text>
+        `).join('');
+
+    const thresholds = getThresholds(curve.field, getSex()) || {};
+    const thresholdLines = Object.keys(thresholds)
+        .filter(level => thresholds[level] > curve.min && thresholds[level] < curve.max)
+        .map(level => `
+            <line x1="${x(thresholds[level])}" x2="${x(thresholds[level])}" y1="${top}" y2="${bottom}" class="sensitivity-threshold">
+                <title>${t(`threshold.${level}`, { threshold: format(thresholds[level]) })}</title>
+            </line>
+        `).join('');
+
+    const target = curve.target === null ? '' : `
+        <line x1="${x(curve.target)}" x2="${x(curve.target)}" y1="${top}" y2="${bottom}" class="sensitivity-target-line"/>
+        <circle cx="${x(curve.target)}" cy="${y(limit)}" r="4" class="sensitivity-target">
+            <title>${format(curve.target)}</title>
+        </circle>
+    `;
+
+    const label = t('sensitivity.chartLabel', {
+        field: fieldLabel(curve.field),
+        min: format(curve.min),
+        max: format(curve.max),
+        risk: formatNumber(risk, 1)
     });
+
+    return `
+        <svg viewBox="0 0 300 72" class="trend-svg sensitivity-svg" role="img" aria-label="${label}">
+            ${grid}
+            ${thresholdLines}
+            <polyline points="${curve.points.map(point => `${x(point.value)},${y(point.risk)}`).join(' ')}" class="trend-line"/>
+            ${target}
+            <circle cx="${x(curve.current)}" cy="${y(risk)}" r="3.5" class="trend-dot">
+                <title>${format(curve.current)}: ${formatNumber(risk, 1)}%</title>
+            </circle>
+            <text x="${left}" y="68" class="trend-label">${format(curve.min)}</text>
+            <text x="${right}" y="68" text-anchor="end" class="trend-label">${format(curve.max)}</text>
+        </svg>
+    `;
 }
 
 function updateRiskUI(percentage) {
     const riskEl = document.getElementById('risk-percentage');
-    if (riskEl) riskEl.textContent = percentage.toFixed(1);
+    if (riskEl) riskEl.textContent = formatNumber(percentage, 1);
 
+    const unitEl = document.getElementById('risk-unit');
+    if (unitEl) unitEl.textContent = '%';
+
+    const category = getRiskCategory(percentage);
     const circle = document.getElementById('risk-circle-fill');
     if (circle) {
         // Circumference 2*PI*45 approx 283
         const offset = 283 - (percentage / 100) * 283;
         circle.style.strokeDashoffset = offset;
-        
-        let color = '#22c55e'; 
-        if (percentage >= 10) color = '#eab308';
-        if (percentage >= 25) color = '#f97316';
-        if (percentage >= 50) color = '#ef4444';
-        circle.style.stroke = color;
+        circle.style.stroke = category.color;
     }
 
     const catEl = document.getElementById('risk-category');
     if (catEl) {
-        let text = 'Low Risk', cls = 'low';
-        if (percentage >= 10) { text = 'Moderate Risk'; cls = 'moderate'; }
-        if (percentage >= 25) { text = 'High Risk'; cls = 'high'; }
-        if (percentage >= 50) { text = 'Very High Risk'; cls = 'very-high'; }
-        
-        catEl.textContent = text;
-        catEl.className = 'risk-category ' + cls;
+        catEl.textContent = categoryLabel(category);
+        catEl.className = 'risk-category ' + category.cls;
+        catEl.style.color = category.color;
     }
-    
-    updateHeatmap(percentage);
 }
 
-function updateHeatmap(risk) {
-    // Legacy function - now handled by updateHeatmapWithContributions
+// Risk categories of the active guideline for the active model. A profile's own
+// categories may be limited to the models they were defined for (riskCategoryModels);
+// the other models get the built-in ones.
+function getRiskCategories() {
+    const models = state.guideline.riskCategoryModels;
+    return !models || models.includes(state.model) ? state.guideline.riskCategories : CONFIG.RISK_CATEGORIES;
 }
 
-function updateHeatmapWithContributions(contributions, risk) {
-    const pointer = document.getElementById('heatmap-pointer');
-    if (!pointer) return;
-    
-    // X-Axis: Glucose contribution (how much glucose adds to risk vs mean)
-    // Positive contribution = higher glucose = move right
-    // Negative contribution = lower glucose = move left
-    const gluContribution = contributions.fastGlu;
-    
-    // Y-Axis: Sum of ALL OTHER risk contributions (excluding glucose)
-    const otherContributions = 
-        contributions.age + 
-        contributions.race + 
-        contributions.parentHist + 
-        contributions.sbp + 
-        contributions.waist + 
-        contributions.height + 
-        contributions.cholHDL + 
-        contributions.cholTri;
-    
-    // Scale X: Glucose contribution typically ranges from -4 to +4
-    // Map this to 5-95% horizontally
-    const gluMin = -4;
-    const gluMax = 4;
-    const clampedGlu = Math.min(Math.max(gluContribution, gluMin), gluMax);
-    const xPercent = 5 + ((clampedGlu - gluMin) / (gluMax - gluMin)) * 90;
-    
-    // Scale Y: Other contributions typically range from -3 to +3
-    // Map this to 5-95% vertically (bottom to top)
-    const otherMin = -3;
-    const otherMax = 3;
-    const clampedOther = Math.min(Math.max(otherContributions, otherMin), otherMax);
-    const yPercent = 5 + ((clampedOther - otherMin) / (otherMax - otherMin)) * 90;
-    
-    pointer.style.left = xPercent + '%';
-    pointer.style.bottom = yPercent + '%';
-    
+// Category of a predicted risk in % under the active guideline
+function getRiskCategory(percentage) {
+    const categories = getRiskCategories();
+    return categories.filter(category => percentage >= category.min).pop() || categories[0];
+}
+
+// Category label of any computeRisk result, including score-only models
+function getResultCategory(result) {
+    if (result.probability !== null) return categoryLabel(getRiskCategory(result.probability * 100));
+    return t(result.points >= result.model.cutoff ? 'category.screenPositive' : 'category.low');
+}
+
+// Point scores without a published probability (e.g. ADA Risk Test)
+function updateScoreUI(result) {
+    const riskEl = document.getElementById('risk-percentage');
+    if (riskEl) riskEl.textContent = result.points;
+
+    const unitEl = document.getElementById('risk-unit');
+    if (unitEl) unitEl.textContent = t('risk.outOf', { max: result.model.maxPoints });
+
+    const catEl = document.getElementById('risk-category');
+    if (catEl) {
+        const high = result.points >= result.model.cutoff;
+        catEl.textContent = getResultCategory(result);
+        catEl.className = 'risk-category ' + (high ? 'high' : 'low');
+        catEl.style.color = '';     // Colored by the class, not the previous model's category
+    }
+}
+
+function updateModelInfo(result) {
+    const el = document.getElementById('risk-model-name');
+    if (!el) return;
+
+    const model = result.model;
+    let text = modelText(model, 'name');
+    if (model.type === 'points' && result.probability !== null) {
+        text += ` · ${t('risk.modelPoints', { points: result.points, max: model.maxPoints })}`;
+    }
+    el.textContent = text;
+    el.title = `${modelText(model, 'outcome')}. ${model.citation}`;
+}
+
+// Risk over fasting glucose for the patient's other factors, on the zones of CONFIG.HEATMAP
+function updateHeatmap(result) {
+    const svg = document.getElementById('heatmap-svg');
+    const pointer = document.getElementById('heatmap-pointer');
+    if (!svg || !pointer) return;
+
+    const { GLUCOSE, RISK_MAX, CURVE_STEPS } = CONFIG.HEATMAP;
+    const x = glucose => clampPercent((glucose - GLUCOSE[0]) / (GLUCOSE[1] - GLUCOSE[0]) * 100);
+    const y = risk => 100 - clampPercent(risk / RISK_MAX * 100);
+
+    // The curve and pointer need a glucose-based model that predicts a probability
+    const model = result.model;
+    const onGrid = model.type === 'logistic' && model.inputs.includes('fastGlu');
+    const risk = result.probability * 100;
+    const glucose = result.values.fastGlu;
+
+    let curve = '';
+    if (onGrid) {
+        const points = [];
+        for (let i = 0; i <= CURVE_STEPS; i++) {
+            const value = GLUCOSE[0] + (GLUCOSE[1] - GLUCOSE[0]) * i / CURVE_STEPS;
+            const probability = DiabetesRiskEngine.computeRisk({ ...result.values, fastGlu: value }, { model }).probability;
+            points.push(`${x(value)},${y(probability * 100)}`);
+        }
+        curve = `<polyline points="${points.join(' ')}" class="heatmap-curve"/>`;
+    }
+
+    const zones = getHeatmapZones();
+    const current = onGrid ? getHeatmapZone(glucose, risk, zones) : null;
+    const cells = getHeatmapCells(zones);
+    svg.innerHTML = cells.map(cell => `
+        <rect x="${x(cell.glucose[0])}" y="${y(cell.risk[1])}"
+              width="${x(cell.glucose[1]) - x(cell.glucose[0])}" height="${y(cell.risk[0]) - y(cell.risk[1])}"
+              class="heatmap-zone ${cell.zone}${cell.zone === current ? ' current' : ''}"/>
+    `).join('') + curve;
+
+    // One label per zone, centred on its widest cell
+    const labels = document.getElementById('heatmap-labels');
+    if (labels) {
+        const largest = {};
+        cells.forEach(cell => {
+            const area = (x(cell.glucose[1]) - x(cell.glucose[0])) * (y(cell.risk[0]) - y(cell.risk[1]));
+            if (!largest[cell.zone] || area > largest[cell.zone].area) largest[cell.zone] = { ...cell, area };
+        });
+        labels.innerHTML = Object.values(largest).map(cell => `
+            <span class="heatmap-label${cell.zone === current ? ' current' : ''}"
+                  style="left: ${(x(cell.glucose[0]) + x(cell.glucose[1])) / 2}%; top: ${(y(cell.risk[0]) + y(cell.risk[1])) / 2}%; max-width: ${x(cell.glucose[1]) - x(cell.glucose[0])}%;">${t(`heatmap.${cell.zone}`)}</span>
+        `).join('');
+    }
+
+    pointer.style.display = onGrid ? '' : 'none';
+    const risks = [0, RISK_MAX / 2, RISK_MAX];
+    ['min', 'mid', 'max'].forEach((tick, i) => setLabelText(`risk-axis-${tick}`, `${formatNumber(risks[i], 0)}%`));
+
+    const grid = document.getElementById('heatmap-grid');
+    if (onGrid) {
+        pointer.style.left = x(glucose) + '%';
+        pointer.style.bottom = (100 - y(risk)) + '%';
+        if (grid) {
+            grid.setAttribute('aria-label', t('heatmap.position', {
+                glucose: `${formatFactorValue('fastGlu', glucose)} ${getDisplayUnit('fastGlu')}`,
+                risk: formatNumber(risk, 1),
+                zone: t(`heatmap.${current}`).replace(/\n/g, ' ')
+            }));
+        }
+    } else if (grid) {
+        grid.setAttribute('aria-label', t('heatmap.label'));
+    }
+
     // Update factor-specific treatment recommendations
     updateTreatmentRecommendations();
 }
 
+// CONFIG.HEATMAP.ZONES with their bounds taken from the active guideline (SI glucose,
+// risk in %). A level or category the profile lacks leaves a max open and a min unmet.
+function getHeatmapZones() {
+    const thresholds = getThresholds('fastGlu', getSex()) || {};
+    const glucose = level => thresholds[level];
+    const risk = cls => {
+        const category = getRiskCategories().find(other => other.cls === cls);
+        return category ? category.min : undefined;
+    };
+    const bound = (name, lookup, missing) => {
+        if (name === undefined) return undefined;
+        const value = lookup(name);
+        return value === undefined ? missing : value;
+    };
+
+    return CONFIG.HEATMAP.ZONES.map(zone => ({
+        id: zone.id,
+        minGlucose: bound(zone.minGlucose, glucose, Infinity),
+        maxGlucose: bound(zone.maxGlucose, glucose, undefined),
+        minRisk: bound(zone.minRisk, risk, Infinity),
+        maxRisk: bound(zone.maxRisk, risk, undefined)
+    }));
+}
+
+// Zone id of a point on the heatmap (SI glucose, risk in %) among `zones` (getHeatmapZones)
+function getHeatmapZone(glucose, risk, zones) {
+    const zone = zones.find(zone =>
+        (zone.minGlucose === undefined || glucose >= zone.minGlucose) &&
+        (zone.maxGlucose === undefined || glucose < zone.maxGlucose) &&
+        (zone.minRisk === undefined || risk >= zone.minRisk) &&
+        (zone.maxRisk === undefined || risk < zone.maxRisk));
+    return zone ? zone.id : null;
+}
+
+// The heatmap split at every bound of `zones`: [{ glucose: [from, to], risk: [from, to], zone }]
+function getHeatmapCells(zones) {
+    const { GLUCOSE, RISK_MAX } = CONFIG.HEATMAP;
+    const edges = (range, bounds) => [...new Set([range[0], range[1], ...bounds])]
+        .filter(value => value >= range[0] && value <= range[1])
+        .sort((a, b) => a - b);
+    const glucoseEdges = edges(GLUCOSE, zones.flatMap(zone => [zone.minGlucose, zone.maxGlucose]).filter(Number.isFinite));
+    const riskEdges = edges([0, RISK_MAX], zones.flatMap(zone => [zone.minRisk, zone.maxRisk]).filter(Number.isFinite));
+
+    const cells = [];
+    glucoseEdges.slice(1).forEach((glucose, i) => {
+        riskEdges.slice(1).forEach((risk, j) => {
+            const cell = { glucose: [glucoseEdges[i], glucose], risk: [riskEdges[j], risk] };
+            cell.zone = getHeatmapZone((cell.glucose[0] + glucose) / 2, (cell.risk[0] + risk) / 2, zones);
+            if (cell.zone) cells.push(cell);
+        });
+    });
+    return cells;
+}
+
+function clampPercent(value) {
+    return Math.min(Math.max(value, 0), 100);
+}
+
 // ============================================
-// 6. FACTOR-SPECIFIC TREATMENT RECOMMENDATIONS
+// 7. FACTOR-SPECIFIC TREATMENT RECOMMENDATIONS
 // ============================================
 
 function updateTreatmentRecommendations() {
     // Get current values in SI units
     const inputs = {
-        fastGlu: parseFloat(document.getElementById('fastGlu-value').value) || 0,
-        sbp: parseFloat(document.getElementById('sbp-value').value) || 0,
-        cholHDL: parseFloat(document.getElementById('cholHDL-value').value) || 0,
-        cholTri: parseFloat(document.getElementById('cholTri-value').value) || 0,
-        waist: parseFloat(document.getElementById('waist-value').value) || 0
+        fastGlu: readNumber('fastGlu'),
+        sbp: readNumber('sbp'),
+        cholHDL: readNumber('cholHDL'),
+        cholTri: readNumber('cholTri'),
+        waist: readNumber('waist')
     };
 
-    // Convert to SI if needed (with same rounding as display conversion for consistency)
-    let siVals = { ...inputs };
-    if (!state.useMetric) {
-        siVals.fastGlu = parseFloat((inputs.fastGlu * CONFIG.CONVERSIONS.gluToMmol).toFixed(1));
-        siVals.cholHDL = parseFloat((inputs.cholHDL * CONFIG.CONVERSIONS.hdlToMmol).toFixed(1));
-        siVals.cholTri = parseFloat((inputs.cholTri * CONFIG.CONVERSIONS.triToMmol).toFixed(1));
-        siVals.waist = Math.round(inputs.waist * CONFIG.CONVERSIONS.waistToCm);
-    }
+    // Convert to SI (with same rounding as display conversion for consistency)
+    const siVals = DiabetesRiskEngine.toSI(inputs, state.units);
+    Object.keys(siVals).forEach(field => {
+        const unit = DiabetesRiskEngine.getUnit(field, state.units);
+        if (unit && unit !== DiabetesRiskEngine.getUnit(field, 'si')) {
+            siVals[field] = roundToStep(siVals[field], getSIRange(field)[2]);
+        }
+    });
+
+    // Empty measurements count with their estimate
+    const estimated = estimateInputs(readInputs(), state.units);
+    Object.keys(estimated.imputed).forEach(field => {
+        if (field in siVals) siVals[field] = estimated.inputs[field];
+    });
 
-    // Determine which factors are elevated
-    const elevatedFactors = [];
-    const T = CONFIG.THRESHOLDS;
+    // Determine which factors are elevated and how far, using the patient's sex-specific thresholds
+    const sex = getSex();
+    const levels = {};
+    Object.keys(state.guideline.treatments).forEach(factor => {
+        const status = getThresholdStatus(factor, siVals[factor], sex);
+        if (status && !NORMAL_LEVELS.includes(status.level)) levels[factor] = status;
+    });
 
-    if (siVals.fastGlu >= T.fastGlu.elevated) elevatedFactors.push('fastGlu');
-    if (siVals.sbp >= T.sbp.elevated) elevatedFactors.push('sbp');
-    if (siVals.cholHDL <= T.cholHDL.low) elevatedFactors.push('cholHDL');  // Inverse - low HDL is bad
-    if (siVals.cholTri >= T.cholTri.elevated) elevatedFactors.push('cholTri');
-    if (siVals.waist >= T.waist.elevated) elevatedFactors.push('waist');
+    // Only consider measurements the selected model actually asks for
+    const modelInputs = getActiveModel().inputs;
+    const measuredFactors = Object.keys(levels).filter(factor => modelInputs.includes(factor));
+    state.indicatedFactors = measuredFactors;
+    state.indicatedLevels = {};
+    measuredFactors.forEach(factor => { state.indicatedLevels[factor] = levels[factor].level; });
 
     // Update the dynamic treatment recommendations section
     const container = document.getElementById('dynamic-treatments');
@@ -712,39 +1607,73 @@ function updateTreatmentRecommendations() {
     // Clear previous recommendations
     container.innerHTML = '';
 
-    if (elevatedFactors.length === 0) {
+    if (measuredFactors.length === 0) {
         container.innerHTML = `
             <div class="treatment-ok">
                 <span class="material-icons-round">check_circle</span>
-                <p>All modifiable risk factors are within normal range. Continue maintaining a healthy lifestyle.</p>
+                <p>${t('treatments.allNormal')}</p>
             </div>
         `;
+        updateTreatmentProjection();
         return;
     }
 
+    // Several abnormal factors are treated together, favouring therapies that act on more than one
+    const combination = getCombinationNotes();
+    if (combination.length) {
+        container.innerHTML = `
+            <div class="treatment-combination">
+                <span class="material-icons-round">hub</span>
+                <div>${combination.map(note => `<p>${note}</p>`).join('')}</div>
+            </div>
+        `;
+    }
+
     // Build recommendations for each elevated factor
-    elevatedFactors.forEach(factor => {
-        const treatment = CONFIG.TREATMENTS[factor];
+    measuredFactors.forEach(factor => {
+        const treatment = state.guideline.treatments[factor];
         if (!treatment) return;
+        const status = levels[factor];
 
         const factorDiv = document.createElement('div');
-        factorDiv.className = 'factor-treatment indicated';
+        factorDiv.className = `factor-treatment indicated severity-${status.level}`;
         factorDiv.id = treatment.id;
 
-        let therapiesHTML = treatment.therapies.map(t => `
-            <div class="therapy-mini">
+        let therapiesHTML = getIndicatedTherapies(factor).map(therapy => {
+            const key = `${factor}:${therapy.id}`;
+            const checked = state.selectedTherapies.includes(key) ? ' checked' : '';
+            const alsoActsOn = getTherapyFactors(therapy)
+                .filter(field => field !== factor && measuredFactors.includes(field));
+            const also = alsoActsOn.length
+                ? `<span class="therapy-also">${t('treatments.alsoActsOn', { factors: factorList(alsoActsOn) })}</span>`
+                : '';
+            return `
+            <label class="therapy-mini therapy-selectable">
                 <span class="material-icons-round indicated-heart">favorite</span>
                 <div>
-                    <strong>${t.name}:</strong> ${t.desc}
+                    <strong>${escapeHTML(therapyText(therapy, 'name'))}:</strong> ${escapeHTML(therapyText(therapy, 'desc'))}
+                    ${also}
+                    <span class="source">${escapeHTML(therapy.source)}</span>
                 </div>
-            </div>
-        `).join('');
+                <input type="checkbox" class="therapy-check" data-therapy="${escapeHTML(key)}"${checked} onchange="toggleTherapy(this.dataset.therapy)" title="${t('treatments.simulate')}">
+            </label>
+        `;
+        }).join('');
+
+        const escalation = TOP_LEVELS.includes(status.level) ? escapeHTML(escalationText(factor, treatment)) : '';
+        const threshold = `${formatFactorValue(factor, status.threshold)} ${getDisplayUnit(factor)}`;
 
         factorDiv.innerHTML = `
             <div class="factor-header">
-                <span class="material-icons-round factor-icon">${treatment.icon}</span>
-                <h5>${treatment.title}</h5>
+                <span class="material-icons-round factor-icon">${escapeHTML(treatment.icon)}</span>
+                <h5>${t(`treatment.${factor}`)}</h5>
+                <span class="severity-badge" title="${t(`threshold.${status.level}`, { threshold })}">${t(`severity.${status.level}`)}</span>
             </div>
+            ${escalation ? `
+            <p class="treatment-escalation">
+                <span class="material-icons-round">priority_high</span>
+                <span>${escalation}</span>
+            </p>` : ''}
             <div class="factor-therapies">
                 ${therapiesHTML}
             </div>
@@ -752,4 +1681,1569 @@ function updateTreatmentRecommendations() {
 
         container.appendChild(factorDiv);
     });
-}
\ No newline at end of file
+
+    updateTreatmentProjection();
+}
+
+// Therapies of an indicated factor recommended at its current threshold level
+function getIndicatedTherapies(factor) {
+    const level = state.indicatedLevels[factor];
+    return state.guideline.treatments[factor].therapies
+        .filter(therapy => !therapy.levels || therapy.levels.includes(level));
+}
+
+// Factors a therapy changes, in the order of its effects
+function getTherapyFactors(therapy) {
+    return (therapy.effects || [])
+        .map(effect => effect.field)
+        .filter((field, i, fields) => fields.indexOf(field) === i);
+}
+
+function factorList(factors) {
+    return factors.map(factor => t(`label.${factor}`)).join(', ');
+}
+
+function escalationText(factor, treatment) {
+    if (treatment.escalation) return guidelineText(treatment.escalation);
+    const key = `escalation.${factor}`;
+    return DiabetesI18n.has(key) ? t(key) : '';
+}
+
+// Notes for several abnormal factors at once: three or more form the metabolic
+// syndrome pattern, two or more at the top level call for combined treatment
+function getCombinationNotes() {
+    const factors = state.indicatedFactors;
+    const topFactors = factors.filter(factor => TOP_LEVELS.includes(state.indicatedLevels[factor]));
+    const notes = [];
+    if (factors.length >= 3) {
+        notes.push(t('treatments.metabolicSyndrome', {
+            count: factors.length,
+            total: Object.keys(state.guideline.treatments).length
+        }));
+    }
+    if (topFactors.length >= 2) {
+        notes.push(t('treatments.combinedHigh', { factors: factorList(topFactors) }));
+    }
+    return notes;
+}
+
+window.toggleTherapy = function(key) {
+    const index = state.selectedTherapies.indexOf(key);
+    if (index === -1) state.selectedTherapies.push(key);
+    else state.selectedTherapies.splice(index, 1);
+    updateTreatmentProjection();
+};
+
+// Ticked therapies among the currently indicated factors
+function getSelectedTherapies() {
+    return state.selectedTherapies
+        .map(key => {
+            const [factor, id] = key.split(':');
+            if (!state.indicatedFactors.includes(factor)) return null;
+            return getIndicatedTherapies(factor).find(therapy => therapy.id === id) || null;
+        })
+        .filter(Boolean);
+}
+
+// Projected post-treatment risk through the same model, combining all ticked therapies
+function updateTreatmentProjection() {
+    const panel = document.getElementById('treatment-projection');
+    if (!panel) return;
+
+    const therapies = getSelectedTherapies();
+    const result = state.lastResult;
+    if (!therapies.length || !result) {
+        panel.innerHTML = '';
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = '';
+
+    const effects = therapies.reduce((all, therapy) => all.concat(therapy.effects), []);
+    const projectedValues = DiabetesRiskEngine.applyEffects(result.values, effects);
+    const projected = DiabetesRiskEngine.computeRisk(projectedValues, { units: 'si', model: result.model });
+    const comparison = DiabetesRiskEngine.compareResults(result, projected);
+
+    let change;
+    if (comparison.probabilityChange !== null) {
+        change = t('format.pp', { value: formatSigned(comparison.probabilityChange * 100, 1) });
+        if (comparison.relativeChange !== null) change += `, ${formatSigned(comparison.relativeChange * 100, 0)}%`;
+    } else {
+        change = t('format.points', { value: formatSigned(comparison.scoreChange, 0) });
+    }
+
+    const drivers = comparison.drivers.filter(d => Math.abs(d.delta) > 1e-9);
+
+    panel.innerHTML = `
+        <div class="projection-header">
+            <span class="material-icons-round">trending_down</span>
+            <span>${t('projection.with', { therapies: therapies.map(therapy => escapeHTML(therapyText(therapy, 'name'))).join(' + ') })}</span>
+        </div>
+        <div class="projection-values">
+            <strong>${formatResultValue(result)}</strong>
+            <span class="material-icons-round">arrow_forward</span>
+            <strong>${formatResultValue(projected)}</strong>
+            <span class="projection-change">(${change})</span>
+        </div>
+        ${renderChangeRows(drivers, result.model.type === 'points')}
+        <p class="projection-note">${t('projection.note')}</p>
+    `;
+}
+
+// Targets for the goal solver: the lower bounds of the guideline's risk categories
+function populateGoalSelect() {
+    const select = document.getElementById('goal-target');
+    if (!select) return;
+
+    const categories = getRiskCategories();
+    if (!categories.some(category => category.min === state.goalTarget)) state.goalTarget = null;
+
+    select.innerHTML = `<option value="">${t('goal.nextCategory')}</option>` + categories
+        .filter(category => category.min > 0)
+        .map(category => `<option value="${category.min}">${t('goal.below', { risk: category.min })}</option>`)
+        .join('');
+    select.value = state.goalTarget === null ? '' : String(state.goalTarget);
+}
+
+window.selectGoalTarget = function(value) {
+    state.goalTarget = value === '' ? null : Number(value);
+    updateGoalUI();
+};
+
+// Smallest changes to the modifiable factors that bring the risk under the target
+function updateGoalUI() {
+    const panel = document.getElementById('goal-plan');
+    if (!panel) return;
+
+    const result = state.lastResult;
+    if (!result) {
+        panel.innerHTML = '';
+        return;
+    }
+    if (result.probability === null) {
+        panel.innerHTML = `<p class="card-description">${t('goal.unavailable')}</p>`;
+        return;
+    }
+
+    const risk = result.probability * 100;
+    const target = state.goalTarget !== null ? state.goalTarget : getRiskCategory(risk).min;
+    if (risk < target || target === 0) {
+        panel.innerHTML = `<p class="card-description">${t(target === 0 ? 'goal.lowest' : 'goal.reached')}</p>`;
+        return;
+    }
+
+    // Just under the cut-off, so that the plan lands in the category below
+    const plan = DiabetesRiskEngine.seekTarget(result.values, { model: result.model, target: target / 100 - 1e-4 });
+
+    const display = (field, value) => DiabetesRiskEngine.fromSI({ [field]: value }, state.units)[field];
+    const toSI = (field, value) => DiabetesRiskEngine.toSI({ [field]: value }, state.units)[field];
+    const riskOf = values => DiabetesRiskEngine.computeRisk(values, { model: result.model }).probability * 100;
+
+    // Shown at the slider step, rounded away from the current value unless
+    // that passes the change limit (e.g. whole inches beyond -10 cm)
+    const values = { ...result.values };
+    plan.changes.forEach(change => {
+        const step = getRange(change.field)[2];
+        const shown = display(change.field, change.to);
+        const end = display(change.field, change.end);
+        const up = change.to > change.from;
+        let rounded = roundToStep(Math[up ? 'ceil' : 'floor'](shown / step) * step, step);
+        if (up ? rounded > end + 1e-9 : rounded < end - 1e-9) {
+            rounded = roundToStep(Math[up ? 'floor' : 'ceil'](shown / step) * step, step);
+        }
+        values[change.field] = toSI(change.field, rounded);
+    });
+
+    // Rounding back toward the current value can leave the risk at or above the
+    // target: then add single slider steps, each where it lowers the risk most,
+    // within the change limits until the target is met or no step helps
+    let projectedRisk = riskOf(values);
+    while (projectedRisk >= target) {
+        let best = null;
+        Object.keys(plan.ends).forEach(field => {
+            const step = getRange(field)[2];
+            const shown = display(field, values[field]);
+            const end = display(field, plan.ends[field]);
+            const up = end > shown;
+            const next = roundToStep(Math[up ? 'ceil' : 'floor'](shown / step + (up ? 1e-6 : -1e-6)) * step, step);
+            if (up ? next > end + 1e-9 : next < end - 1e-9) return;
+            const risk = riskOf({ ...values, [field]: toSI(field, next) });
+            if (risk < projectedRisk && (!best || risk < best.risk)) best = { field, value: toSI(field, next), risk };
+        });
+        if (!best) break;
+        values[best.field] = best.value;
+        projectedRisk = best.risk;
+    }
+
+    const projected = DiabetesRiskEngine.computeRisk(values, { model: result.model });
+    const reached = projected.probability * 100 < target;
+    const changed = Object.keys(plan.ends).filter(field => values[field] !== result.values[field]);
+    const estimated = changed.filter(field => state.imputed[field]).map(fieldLabel);
+
+    const rows = changed.map(field => {
+        const unit = getDisplayUnit(field);
+        const delta = display(field, values[field]) - display(field, result.values[field]);
+        return `
+            <div class="change-row improved">
+                <span class="change-label">${fieldLabel(field)}${state.imputed[field] ? ` (${t('imputation.estimated')})` : ''}</span>
+                <span class="change-values">${formatFactorValue(field, result.values[field])} → ${formatFactorValue(field, values[field])} ${unit}</span>
+                <span class="change-delta">${formatSigned(delta, stepDigits(getRange(field)[2]))}</span>
+            </div>
+        `;
+    }).join('');
+
+    panel.innerHTML = `
+        <div class="projection-values">
+            <strong>${formatResultValue(result)}</strong>
+            <span class="material-icons-round">arrow_forward</span>
+            <strong>${formatResultValue(projected)}</strong>
+            <span class="projection-change">${escapeHTML(categoryLabel(getRiskCategory(projected.probability * 100)))}</span>
+        </div>
+        ${rows || `<p class="card-description">${t('goal.noChange')}</p>`}
+        ${reached ? '' : `<p class="goal-unreachable">${t('goal.unreachable', { risk: target })}</p>`}
+        ${estimated.length ? `<p class="goal-estimated">${t('goal.estimated', { fields: estimated.join(', ') })}</p>` : ''}
+        <p class="projection-note">${t('goal.note')}</p>
+    `;
+}
+
+function getSex() {
+    return document.getElementById('sex-toggle').checked ? 'female' : 'male';
+}
+
+// Thresholds of a factor for 'male' or 'female', with the ethnicity's overrides on top
+function getThresholds(field, sex) {
+    const base = state.guideline.thresholds[field];
+    if (!base) return null;
+
+    const override = (getEthnicity().thresholds || {})[field];
+    const thresholds = {};
+    [base, override].filter(Boolean).forEach(layer => {
+        Object.assign(thresholds, layer, sex === 'female' ? layer.female : {});
+    });
+    delete thresholds.female;
+    return thresholds;
+}
+
+// Where an SI value falls against the field's thresholds: { level, threshold } or null
+function getThresholdStatus(field, siValue, sex) {
+    const limits = getThresholds(field, sex);
+    if (!limits || typeof siValue !== 'number') return null;
+
+    if (limits.low !== undefined) {
+        if (siValue <= limits.veryLow) return { level: 'veryLow', threshold: limits.veryLow };
+        if (siValue <= limits.low) return { level: 'low', threshold: limits.low };
+        return { level: 'aboveLow', threshold: limits.low };
+    }
+    if (siValue >= limits.high) return { level: 'high', threshold: limits.high };
+    if (siValue >= limits.elevated) return { level: 'elevated', threshold: limits.elevated };
+    return { level: 'normal', threshold: limits.elevated };
+}
+
+// Levels of getThresholdStatus that need no treatment, and the top level of each direction
+const NORMAL_LEVELS = ['normal', 'aboveLow'];
+const TOP_LEVELS = ['high', 'veryLow'];
+
+// Colors each slider track by the thresholds for the current sex and units
+function updateThresholdSegments() {
+    const sex = getSex();
+
+    Object.keys(state.guideline.thresholds).forEach(field => {
+        const track = document.getElementById(`${field}-track`);
+        if (!track) return;
+
+        const limits = getThresholds(field, sex);
+        const [min, max] = getRange(field);
+        const toDisplay = value => DiabetesRiskEngine.fromSI({ [field]: value }, state.units)[field];
+
+        // [upper bound, color] from the low end of the slider
+        const bands = limits.low !== undefined
+            ? [[toDisplay(limits.veryLow), 'danger'], [toDisplay(limits.low), 'alert'], [max, 'safe']]
+            : [[toDisplay(limits.elevated), 'safe'], [toDisplay(limits.high), 'alert'], [max, 'danger']];
+
+        let start = min;
+        track.innerHTML = bands.map(([end, color]) => {
+            const width = Math.max(0, Math.min(end, max) - start);
+            start = Math.max(start, Math.min(end, max));
+            return `<div class="slider-segment ${color}" style="flex: ${width}"></div>`;
+        }).join('');
+    });
+}
+
+// ============================================
+// 8. SHAREABLE URL STATE
+// ============================================
+
+// Serializes model, units and all inputs into the URL hash
+function syncUrlState(inputs) {
+    const params = new URLSearchParams();
+    params.set('model', state.model);
+    params.set('units', serializeUnits(state.units));
+    [...SLIDER_FIELDS, ...TOGGLE_FIELDS, ...SELECT_FIELDS].forEach(field => params.set(field, inputs[field]));
+    OPTIONAL_FIELDS.forEach(field => {
+        if (!isNaN(inputs[field])) params.set(field, inputs[field]);
+    });
+
+    const hash = '#' + params.toString();
+    if (window.location.hash === hash) return;
+    state.urlHash = hash;
+
+    try {
+        history.replaceState(null, '', hash);
+    } catch (e) {
+        // Some browsers refuse history updates on file:// pages
+        window.location.replace(hash);
+    }
+}
+
+// Applies the scenario in the URL hash; returns false when there is none
+function restoreUrlState() {
+    const hash = window.location.hash.slice(1);
+    if (!hash) return false;
+    const params = new URLSearchParams(hash);
+
+    const inputs = {};
+    SLIDER_FIELDS.forEach(field => {
+        if (params.has(field)) inputs[field] = parseFloat(params.get(field));
+    });
+    // Optional fields are only in the link when entered
+    OPTIONAL_FIELDS.forEach(field => {
+        inputs[field] = params.has(field) ? parseFloat(params.get(field)) : NaN;
+    });
+    // `race` comes from links shared before the ethnicity selector
+    [...TOGGLE_FIELDS, ...SELECT_FIELDS, 'race'].forEach(field => {
+        if (params.has(field)) inputs[field] = params.get(field);
+    });
+
+    applyScenario({ units: parseUnits(params.get('units')), model: params.get('model'), inputs });
+    return true;
+}
+
+// 'us' / 'si' when every field follows one system, else 'field:unit,...'
+function serializeUnits(units) {
+    const fields = Object.keys(DiabetesRiskEngine.UNITS);
+    const system = ['us', 'si'].find(id => fields.every(field => units[field] === DiabetesRiskEngine.getUnit(field, id).id));
+    return system || fields.map(field => `${field}:${units[field]}`).join(',');
+}
+
+function parseUnits(text) {
+    if (!text || !text.includes(':')) return text;
+    const units = {};
+    text.split(',').forEach(pair => {
+        const [field, unit] = pair.split(':');
+        units[field] = unit;
+    });
+    return units;
+}
+
+// Applies a { units, model, inputs } scenario (inputs in the given units) to the controls
+function applyScenario(scenario) {
+    // Units first so the values below land in the matching slider ranges
+    if (scenario.units) applyUnits(scenario.units);
+
+    if (scenario.model && DiabetesRiskEngine.listModels().some(m => m.id === scenario.model)) {
+        state.model = scenario.model;
+    }
+    const select = document.getElementById('model-select');
+    if (select) select.value = state.model;
+
+    writeInputs(scenario.inputs || {});
+}
+
+// A pasted or edited link in the same tab
+function onHashChange() {
+    // Ignore the hash we just wrote ourselves
+    if (window.location.hash === state.urlHash) return;
+    if (!restoreUrlState()) return;
+
+    applyModelInputs();
+    calculateRisk();
+}
+
+window.copyShareLink = function() {
+    const button = document.getElementById('share-link');
+    navigator.clipboard.writeText(window.location.href).then(() => {
+        if (!button) return;
+        button.classList.add('copied');
+        setTimeout(() => button.classList.remove('copied'), 1500);
+    });
+};
+
+// ============================================
+// 9. PATIENT PROFILES
+// ============================================
+
+const profileStore = DiabetesProfileStore.createProfileStore(getStorage());
+
+// localStorage, or an in-memory stand-in where the browser blocks it
+function getStorage() {
+    try {
+        if (window.localStorage) return window.localStorage;
+    } catch (e) {
+        // Storage access denied (e.g. privacy settings)
+    }
+    const memory = {};
+    return {
+        getItem: key => (key in memory ? memory[key] : null),
+        setItem: (key, value) => { memory[key] = String(value); }
+    };
+}
+
+function formatProfileRisk(profile) {
+    if (profile.risk !== null && profile.risk !== undefined) return `${formatNumber(profile.risk * 100, 1)}%`;
+    if (profile.points !== null && profile.points !== undefined) return t('format.points', { value: profile.points });
+    return '–';
+}
+
+function populateProfileSelect() {
+    const select = document.getElementById('profile-select');
+    if (!select) return;
+
+    const options = profileStore.list().map(profile => {
+        const date = new Date(profile.updatedAt).toLocaleDateString(DiabetesI18n.getLocale());
+        return `<option value="${profile.id}">${escapeHTML(profile.name)} · ${formatProfileRisk(profile)} · ${date}</option>`;
+    });
+    select.innerHTML = `<option value="">${t('profile.unsaved')}</option>` + options.join('');
+    select.value = state.profileId || '';
+
+    document.querySelectorAll('.profile-action').forEach(button => {
+        button.disabled = !state.profileId;
+    });
+}
+
+// Text safe for element content and quoted attribute values
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// The live scenario in storable form
+function currentProfileData() {
+    const result = state.lastResult;
+    return {
+        inputs: readInputs(),
+        units: { ...state.units },
+        model: state.model,
+        risk: result ? result.probability : null,
+        points: result && result.points !== undefined ? result.points : null
+    };
+}
+
+window.saveProfile = function() {
+    const existing = state.profileId && profileStore.get(state.profileId);
+    let name = existing ? existing.name : prompt(t('profile.promptName'));
+    if (!name || !name.trim()) return;
+    name = name.trim();
+
+    const stored = profileStore.save({ ...currentProfileData(), id: existing ? existing.id : undefined, name });
+    state.profileId = stored.id;
+    populateProfileSelect();
+    updateHistoryUI();
+};
+
+window.loadProfile = function(id) {
+    const profile = id && profileStore.get(id);
+    state.profileId = profile ? profile.id : null;
+    if (profile) {
+        state.fhirSource = null;
+        applyScenario(profile);
+        applyModelInputs();
+        calculateRisk();
+    }
+    populateProfileSelect();
+    updateHistoryUI();
+};
+
+window.duplicateProfile = function() {
+    const source = state.profileId && profileStore.get(state.profileId);
+    if (!source) return;
+
+    const name = prompt(t('profile.promptCopy'), t('profile.copyName', { name: source.name }));
+    if (!name || !name.trim()) return;
+
+    state.profileId = profileStore.duplicate(source.id, name.trim()).id;
+    populateProfileSelect();
+    updateHistoryUI();
+};
+
+window.deleteProfile = function() {
+    const profile = state.profileId && profileStore.get(state.profileId);
+    if (!profile || !confirm(t('profile.confirmDelete', { name: profile.name }))) return;
+
+    profileStore.remove(profile.id);
+    state.profileId = null;
+    populateProfileSelect();
+    updateHistoryUI();
+};
+
+// ============================================
+// 10. LONGITUDINAL RISK TRACKING
+// ============================================
+
+// Today as local 'YYYY-MM-DD'
+function todayISO() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+function initVisitDate() {
+    const dateInput = document.getElementById('visit-date');
+    if (dateInput) dateInput.value = todayISO();
+}
+
+window.recordVisit = function() {
+    // Only record values that pass validation
+    if (!state.lastResult) return;
+
+    // Visits belong to a profile; offer to save one first
+    if (!state.profileId) saveProfile();
+    if (!state.profileId) return;
+
+    const dateInput = document.getElementById('visit-date');
+    const date = (dateInput && dateInput.value) || todayISO();
+
+    profileStore.addVisit(state.profileId, {
+        date,
+        inputs: readInputs(),
+        units: { ...state.units }
+    });
+    updateHistoryUI();
+};
+
+window.removeVisit = function(visitId) {
+    if (!state.profileId || !confirm(t('history.confirmDeleteVisit'))) return;
+    profileStore.removeVisit(state.profileId, visitId);
+    updateHistoryUI();
+};
+
+// Visits re-scored with the currently selected model so they stay comparable
+function scoreVisits(visits) {
+    return visits.map(visit => ({
+        visit,
+        result: scoreInputs(visit.inputs, visit.units)
+    }));
+}
+
+function updateHistoryUI() {
+    const chart = document.getElementById('history-chart');
+    const changes = document.getElementById('history-changes');
+    const list = document.getElementById('history-visits');
+    const hint = document.getElementById('history-empty');
+    if (!chart || !changes || !list) return;
+
+    const profile = state.profileId && profileStore.get(state.profileId);
+    const scored = scoreVisits((profile && profile.visits) || []);
+
+    if (hint) {
+        hint.textContent = t(profile ? 'history.needTwo' : 'history.noProfile');
+        hint.style.display = scored.length >= 2 ? 'none' : '';
+    }
+
+    list.innerHTML = scored.map(({ visit, result }) => `
+        <li>
+            <span>${formatDate(parseVisitDate(visit.date))}</span>
+            <strong>${formatResultValue(result)}</strong>
+            <button type="button" class="icon-button" onclick="removeVisit('${visit.id}')" title="${t('history.deleteVisit')}">
+                <span class="material-icons-round">close</span>
+            </button>
+        </li>
+    `).join('');
+
+    if (scored.length < 2) {
+        chart.innerHTML = '';
+        changes.innerHTML = '';
+        return;
+    }
+
+    chart.innerHTML = renderTrendChart(scored);
+    changes.innerHTML = renderVisitChanges(scored[scored.length - 2], scored[scored.length - 1]);
+}
+
+// 'YYYY-MM-DD' as a local date (Date() would read it as UTC midnight)
+function parseVisitDate(date) {
+    return new Date(`${date}T00:00:00`);
+}
+
+function formatDate(date) {
+    return date.toLocaleDateString(DiabetesI18n.getLocale());
+}
+
+// Percent for probability models, points for score-only models
+function formatResultValue(result) {
+    return result.probability !== null
+        ? `${formatNumber(result.probability * 100, 1)}%`
+        : t('format.points', { value: result.points });
+}
+
+function renderTrendChart(scored) {
+    const usePercent = scored[0].result.probability !== null;
+    const values = scored.map(({ result }) => usePercent ? result.probability * 100 : result.points);
+    const times = scored.map(({ visit }) => parseVisitDate(visit.date).getTime());
+
+    // Plot area inside a 300 x 120 viewBox
+    const left = 32, right = 292, top = 8, bottom = 100;
+    const maxValue = Math.max(5, Math.ceil(Math.max(...values) * 1.2 / 5) * 5);
+    const minTime = times[0], span = (times[times.length - 1] - minTime) || 1;
+    const x = time => left + ((time - minTime) / span) * (right - left);
+    const y = v => bottom - (v / maxValue) * (bottom - top);
+
+    const grid = [0, maxValue / 2, maxValue].map(v => `
+        <line x1="${left}" x2="${right}" y1="${y(v)}" y2="${y(v)}" class="trend-grid"/>
+        <text x="${left - 4}" y="${y(v) + 3}" text-anchor="end" class="trend-label">${v}${usePercent ? '%' : ''}</text>
+    `).join('');
+
+    const pointsAttr = values.map((v, i) => `${x(times[i])},${y(v)}`).join(' ');
+    const dots = values.map((v, i) => `
+        <circle cx="${x(times[i])}" cy="${y(v)}" r="3.5" class="trend-dot">
+            <title>${formatDate(parseVisitDate(scored[i].visit.date))}: ${formatResultValue(scored[i].result)}</title>
+        </circle>
+    `).join('');
+
+    const firstDate = formatDate(new Date(times[0]));
+    const lastDate = formatDate(new Date(times[times.length - 1]));
+
+    return `
+        <svg viewBox="0 0 300 120" class="trend-svg" role="img" aria-label="${t('history.chartLabel')}">
+            ${grid}
+            <polyline points="${pointsAttr}" class="trend-line"/>
+            ${dots}
+            <text x="${left}" y="116" class="trend-label">${firstDate}</text>
+            <text x="${right}" y="116" text-anchor="end" class="trend-label">${lastDate}</text>
+        </svg>
+    `;
+}
+
+// Per-factor contribution change between two visits, biggest drivers first
+function renderVisitChanges(previous, latest) {
+    const comparison = DiabetesRiskEngine.compareResults(previous.result, latest.result);
+    const isPoints = latest.result.model.type === 'points';
+    const drivers = comparison.drivers.filter(d => Math.abs(d.delta) > 1e-9);
+
+    const summary = comparison.probabilityChange !== null
+        ? t('format.ppLong', { value: formatSigned(comparison.probabilityChange * 100, 1) })
+        : t('format.pointsLong', { value: formatSigned(comparison.scoreChange, 0) });
+    const date = formatDate(parseVisitDate(previous.visit.date));
+
+    if (drivers.length === 0) {
+        return `<p class="history-summary">${t('history.noChange', { date, summary })}</p>`;
+    }
+
+    const rows = renderChangeRows(drivers, isPoints);
+
+    return `
+        <p class="history-summary">${t('history.since', { date })} <strong>${summary}</strong></p>
+        ${rows}
+    `;
+}
+
+// Rows of per-factor contribution changes; the first three are highlighted as drivers
+function renderChangeRows(drivers, isPoints) {
+    return drivers.map((d, i) => `
+        <div class="change-row ${i < 3 ? 'driver' : ''} ${d.delta < 0 ? 'improved' : 'worsened'}">
+            <span class="change-label">${fieldLabel(d.key)}</span>
+            <span class="change-values">${formatFactorValue(d.key, d.valueBefore)} → ${formatFactorValue(d.key, d.valueAfter)}</span>
+            <span class="change-delta">${isPoints ? t('format.points', { value: formatSigned(d.delta, 0) }) : formatSigned(d.delta, 2)}</span>
+        </div>
+    `).join('');
+}
+
+function formatSigned(value, digits) {
+    const magnitude = formatNumber(Math.abs(value), digits);
+    if (Number(Math.abs(value).toFixed(digits)) === 0) return `±${magnitude}`;
+    return (value > 0 ? '+' : '−') + magnitude;
+}
+
+// An SI model value shown in the field's selected unit
+function formatFactorValue(key, siValue) {
+    if (key === 'sex') return t(siValue === 'female' ? 'common.female' : 'common.male');
+    if (key === 'race') return t(Number(siValue) === 1 ? 'common.black' : 'common.other');
+    if (TOGGLE_FIELDS.includes(key)) return t(Number(siValue) === 1 ? 'common.yes' : 'common.no');
+
+    const value = DiabetesRiskEngine.fromSI({ [key]: siValue }, state.units)[key];
+    return formatNumber(value, CONFIG.RANGES[key] ? stepDigits(getRange(key)[2]) : 0);
+}
+
+// ============================================
+// 11. WHAT-IF SCENARIOS (BASELINE VS. TARGET)
+// ============================================
+
+window.toggleBaseline = function() {
+    if (!state.baseline && !state.lastResult) return;   // Nothing valid to freeze
+    state.baseline = state.baseline
+        ? null
+        : { inputs: readInputs(), units: { ...state.units } };
+    calculateRisk();
+};
+
+// Restores the sliders to the frozen baseline values
+window.resetToBaseline = function() {
+    if (!state.baseline) return;
+    applyScenario({ units: state.baseline.units, inputs: state.baseline.inputs });
+    calculateRisk();
+};
+
+function updateScenarioUI(baselineResult, result) {
+    const buttonText = document.getElementById('baseline-button-text');
+    if (buttonText) buttonText.textContent = t(baselineResult ? 'scenario.clear' : 'scenario.freeze');
+
+    const resetButton = document.getElementById('baseline-reset');
+    if (resetButton) resetButton.style.display = baselineResult ? '' : 'none';
+
+    const summary = document.getElementById('scenario-summary');
+    if (!summary) return;
+    if (!baselineResult) {
+        summary.innerHTML = '';
+        summary.style.display = 'none';
+        return;
+    }
+    summary.style.display = '';
+
+    const comparison = DiabetesRiskEngine.compareResults(baselineResult, result);
+    const isPoints = result.model.type === 'points';
+
+    // Absolute and relative risk reduction (positive = lower risk than baseline)
+    let tiles;
+    if (comparison.probabilityChange !== null) {
+        const arr = -comparison.probabilityChange * 100;
+        const rrr = comparison.relativeChange !== null ? -comparison.relativeChange * 100 : 0;
+        tiles = [
+            [t('scenario.baseline'), formatResultValue(baselineResult)],
+            [t('scenario.target'), formatResultValue(result)],
+            [t('scenario.absReduction'), t('format.pp', { value: formatSigned(arr, 1) })],
+            [t('scenario.relReduction'), `${formatSigned(rrr, 0)}%`]
+        ];
+    } else {
+        tiles = [
+            [t('scenario.baseline'), formatResultValue(baselineResult)],
+            [t('scenario.target'), formatResultValue(result)],
+            [t('scenario.change'), t('format.points', { value: formatSigned(comparison.scoreChange, 0) })]
+        ];
+    }
+
+    // Which modifiable factors produced the change
+    const modifiable = comparison.drivers.filter(d =>
+        CONFIG.MODIFIABLE.includes(d.key) && Math.abs(d.delta) > 1e-9);
+    const factorRows = modifiable.length
+        ? renderChangeRows(modifiable, isPoints)
+        : `<p class="scenario-hint">${t('scenario.hint')}</p>`;
+
+    summary.innerHTML = `
+        <div class="scenario-tiles">
+            ${tiles.map(([label, value]) => `
+                <div class="scenario-tile">
+                    <span class="scenario-tile-label">${label}</span>
+                    <strong>${value}</strong>
+                </div>
+            `).join('')}
+        </div>
+        ${factorRows}
+    `;
+}
+
+// ============================================
+// 12. PRINTABLE REPORT
+// ============================================
+
+window.generateReport = function() {
+    const report = document.getElementById('report');
+    if (!report || !state.lastResult) return;
+
+    report.innerHTML = buildReportHTML(state.lastResult);
+    window.print();
+};
+
+// Unit shown next to a field's value
+function getDisplayUnit(field) {
+    if (DiabetesRiskEngine.UNITS[field]) return state.units[field];
+    return { age: t('unit.years'), sbp: 'mmHg', bmi: 'kg/m²' }[field] || '';
+}
+
+function buildReportHTML(result) {
+    const model = result.model;
+    const profile = state.profileId && profileStore.get(state.profileId);
+    const title = document.getElementById('risk-title');
+    const category = document.getElementById('risk-category');
+
+    const inputRows = model.inputs.map(field => `
+        <tr>
+            <th>${fieldLabel(field)}</th>
+            <td>${formatFactorValue(field, result.values[field])} ${getDisplayUnit(field)}${state.imputed[field] ? ` (${t('imputation.estimated')})` : ''}</td>
+        </tr>
+    `).join('');
+
+    const combination = getCombinationNotes().map(note => `<p class="report-note">${note}</p>`).join('');
+    const treatments = state.indicatedFactors.length
+        ? combination + state.indicatedFactors.map(factor => {
+            const treatment = state.guideline.treatments[factor];
+            const level = state.indicatedLevels[factor];
+            const escalation = TOP_LEVELS.includes(level) ? escapeHTML(escalationText(factor, treatment)) : '';
+            return `
+                <div class="report-treatment">
+                    <h4>${t(`treatment.${factor}`)} · ${t(`severity.${level}`)}</h4>
+                    ${escalation ? `<p class="report-note">${escalation}</p>` : ''}
+                    <ul>
+                        ${getIndicatedTherapies(factor).map(therapy => `
+                            <li><strong>${escapeHTML(therapyText(therapy, 'name'))}:</strong> ${escapeHTML(therapyText(therapy, 'desc'))} <span class="report-source">${escapeHTML(therapy.source)}</span></li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        }).join('')
+        : `<p>${t('treatments.allNormal')}</p>`;
+
+    return `
+        <header class="report-header">
+            <h1>${t('report.title')}</h1>
+            <p>${profile ? `${escapeHTML(profile.name)} · ` : ''}${new Date().toLocaleString(DiabetesI18n.getLocale())}</p>
+        </header>
+
+        <section class="report-section report-summary">
+            <div>
+                <h2>${title ? title.textContent : t('report.risk')}</h2>
+                <p class="report-risk">${formatResultValue(result)}</p>
+                <p class="report-category">${category ? escapeHTML(category.textContent) : ''}</p>
+            </div>
+            <table class="report-inputs">
+                <caption>${t('panel.patientData')}</caption>
+                ${inputRows}
+            </table>
+        </section>
+
+        <section class="report-section">
+            <h2>${t('report.contributions')}</h2>
+            ${renderContributionSVG(result.contributions, model.type === 'points')}
+        </section>
+
+        <section class="report-section">
+            <h2>${t('report.treatments')}</h2>
+            ${treatments}
+        </section>
+
+        <footer class="report-footer">
+            <p><strong>${modelText(model, 'name')}</strong> – ${modelText(model, 'outcome')}.</p>
+            <p>${model.citation}</p>
+            <p>${t('report.guideline', {
+                name: escapeHTML(guidelineText(state.guideline.name)),
+                version: escapeHTML(state.guideline.version),
+                date: formatDate(parseVisitDate(state.guideline.date))
+            })}</p>
+            <p>${state.guideline.citations.map(escapeHTML).join('; ')}</p>
+            <p>${t('report.disclaimer')}</p>
+        </footer>
+    `;
+}
+
+// Static diverging bar chart (same ordering and colors as the tornado plot)
+function renderContributionSVG(contributions, isPoints) {
+    const items = Object.entries(contributions)
+        .map(([key, val]) => ({ key, val }))
+        .sort((a, b) => Math.abs(b.val) - Math.abs(a.val));
+    const maxVal = Math.max(...items.map(i => Math.abs(i.val))) || 0.1;
+
+    const rowHeight = 22, labelWidth = 180, center = 370, halfWidth = 150;
+    const height = items.length * rowHeight + 20;
+
+    const rows = items.map((item, i) => {
+        const y = 20 + i * rowHeight;
+        const width = (Math.abs(item.val) / maxVal) * halfWidth;
+        const x = item.val < 0 ? center - width : center;
+        const color = item.val < 0 ? '#10b981' : '#ef4444';
+        const valueX = item.val < 0 ? x - 4 : x + width + 4;
+        const anchor = item.val < 0 ? 'end' : 'start';
+        const value = isPoints ? t('format.points', { value: item.val }) : formatSigned(item.val, 2);
+        return `
+            <text x="0" y="${y + 14}" class="report-chart-label">${fieldLabel(item.key)}</text>
+            <rect x="${x}" y="${y + 3}" width="${width}" height="${rowHeight - 8}" rx="2" fill="${color}"/>
+            <text x="${valueX}" y="${y + 14}" text-anchor="${anchor}" class="report-chart-value">${value}</text>
+        `;
+    }).join('');
+
+    return `
+        <svg viewBox="0 0 600 ${height}" class="report-chart" role="img" aria-label="${t('report.contributions')}">
+            <text x="${center - 6}" y="12" text-anchor="end" class="report-chart-axis">${t('contributions.protective')}</text>
+            <text x="${center + 6}" y="12" class="report-chart-axis">${t('contributions.risk')}</text>
+            <line x1="${center}" x2="${center}" y1="16" y2="${height}" stroke="#cbd5e1"/>
+            ${rows}
+        </svg>
+    `;
+}
+
+// ============================================
+// 13. FHIR IMPORT / EXPORT
+// ============================================
+
+window.toggleFhirPaste = function() {
+    const paste = document.getElementById('fhir-paste');
+    if (paste) paste.hidden = !paste.hidden;
+};
+
+window.importFhirFile = function(fileInput) {
+    const file = fileInput.files && fileInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => importFhirText(reader.result);
+    reader.onerror = () => setFhirStatus(t('fhir.readError', { file: file.name }), true);
+    reader.readAsText(file);
+    fileInput.value = '';   // Allow re-importing the same file
+};
+
+window.importFhirPaste = function() {
+    const textarea = document.getElementById('fhir-input');
+    if (textarea) importFhirText(textarea.value);
+};
+
+// Parses a Bundle, maps it onto the controls and recalculates
+function importFhirText(text) {
+    let imported;
+    try {
+        imported = DiabetesFhir.importBundle(JSON.parse(text));
+    } catch (e) {
+        setFhirStatus(e instanceof SyntaxError ? t('fhir.invalidJson') : importErrorText('fhir', e), true);
+        return;
+    }
+
+    const fields = Object.keys(imported.inputs);
+    if (!fields.length) {
+        setFhirStatus([t('fhir.noObservations'), ...imported.warnings.map(fhirWarningText)].join('. '), true);
+        return;
+    }
+
+    // Imported values are SI; express them in the selected units
+    applyScenario({ inputs: { ...notImportedInputs(imported.inputs), ...DiabetesRiskEngine.fromSI(imported.inputs, state.units) } });
+    state.fhirSource = imported;
+    applyModelInputs();
+    calculateRisk();
+
+    const model = getActiveModel();
+    const missing = model.inputs.filter(field => isFieldShown(model, field) && !fields.includes(field) && field !== 'race');
+    const messages = [t('fhir.imported', { fields: fields.map(fieldLabel).join(', ') })];
+    if (missing.length) messages.push(t('fhir.notImported', { fields: missing.map(fieldLabel).join(', ') }));
+    setFhirStatus([...messages, ...imported.warnings.map(fhirWarningText)].join('. '), false);
+
+    const paste = document.getElementById('fhir-paste');
+    if (paste) paste.hidden = true;
+}
+
+// The previous patient's values must not mix with an import: measurements the
+// Bundle lacks are emptied, answers go back to their defaults
+function notImportedInputs(imported) {
+    const inputs = { ethnicity: CONFIG.ETHNICITIES[0].id };
+    SLIDER_FIELDS.concat(OPTIONAL_FIELDS).forEach(field => {
+        if (!(field in imported)) inputs[field] = null;
+    });
+    TOGGLE_FIELDS.forEach(field => {
+        if (!(field in imported)) inputs[field] = field === 'sex' ? 'male' : 0;
+    });
+    return inputs;
+}
+
+window.exportFhir = function() {
+    const result = state.lastResult;
+    if (!result) return;
+
+    const source = state.fhirSource;
+    const basis = source
+        ? Object.values(source.sources).filter(s => s.id).map(s => `Observation/${s.id}`)
+        : [];
+    const category = document.getElementById('risk-category');
+
+    const assessment = DiabetesFhir.toRiskAssessment(result, {
+        patientReference: source ? source.patientReference : null,
+        basis,
+        category: category ? category.textContent : null
+    });
+
+    downloadFile(`risk-assessment-${todayISO()}.json`, JSON.stringify(assessment, null, 2), 'application/fhir+json');
+};
+
+// Saves generated text through a temporary download link
+function downloadFile(name, content, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+function setFhirStatus(message, isError) {
+    const status = document.getElementById('fhir-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+// Errors thrown by fhir.js / batch.js carry a `type` with a message under <prefix>.error.<type>
+function importErrorText(prefix, error) {
+    const key = `${prefix}.error.${error.type}`;
+    return error.type && DiabetesI18n.has(key) ? t(key) : error.message;
+}
+
+function fhirWarningText(warning) {
+    if (warning.type === 'unsupportedUnit') {
+        return t('fhir.warning.unsupportedUnit', { code: warning.code, unit: warning.unit || t('fhir.noUnit') });
+    }
+    if (warning.type === 'otherSubject') {
+        return t('fhir.warning.otherSubject', { count: warning.count, reference: warning.reference });
+    }
+    return t(`fhir.warning.${warning.type}`);
+}
+
+// ============================================
+// 14. BATCH SCORING (CSV)
+// ============================================
+
+window.loadBatchFile = function(fileInput) {
+    const file = fileInput.files && fileInput.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => loadBatchText(reader.result, file.name);
+    reader.onerror = () => setBatchStatus(t('fhir.readError', { file: file.name }), true);
+    reader.readAsText(file);
+    fileInput.value = '';
+};
+
+function loadBatchText(text, fileName) {
+    let parsed;
+    try {
+        parsed = DiabetesBatch.parseCSV(text);
+    } catch (e) {
+        setBatchStatus(importErrorText('batch', e), true);
+        return;
+    }
+
+    // Map every input any model uses, so switching models keeps the mapping
+    const fields = [...new Set(DiabetesRiskEngine.listModels().flatMap(model => model.inputs))];
+    const mapping = DiabetesBatch.guessMapping(parsed.headers, fields);
+    const units = {};
+    Object.keys(DiabetesRiskEngine.UNITS).forEach(field => {
+        units[field] = guessColumnUnit(mapping[field], field);
+    });
+
+    state.batch = { fileName, headers: parsed.headers, rows: parsed.rows, mapping, units, scored: null, model: null };
+    setBatchStatus(t('batch.loaded', { file: fileName, rows: parsed.rows.length, columns: parsed.headers.length }), false);
+    renderBatchMapping();
+}
+
+// Unit named in a column header such as "Glucose (mg/dL)", else the field's selected unit
+function guessColumnUnit(header, field) {
+    const tokens = (header || '').toLowerCase().split(/[\s()[\],;_]+/);
+    const named = DiabetesRiskEngine.UNITS[field].find(unit =>
+        [unit.id, ...(unit.aliases || [])].some(name => tokens.includes(name.toLowerCase())));
+    return named ? named.id : state.units[field];
+}
+
+function renderBatchMapping() {
+    const container = document.getElementById('batch-mapping');
+    if (!container || !state.batch) return;
+
+    const batch = state.batch;
+    const model = getActiveModel();
+    const columnOptions = selected => ['', ...batch.headers].map(header => `
+        <option value="${escapeHTML(header)}" ${header === selected ? 'selected' : ''}>${header ? escapeHTML(header) : t('batch.notMapped')}</option>
+    `).join('');
+
+    const rows = model.inputs.map(field => {
+        let unitSelect = '';
+        if (DiabetesRiskEngine.UNITS[field]) {
+            const options = DiabetesRiskEngine.UNITS[field].map(unit => `
+                <option value="${unit.id}" ${unit.id === batch.units[field] ? 'selected' : ''}>${unit.id}</option>
+            `).join('');
+            unitSelect = `
+                <select class="select-input batch-unit" onchange="setBatchUnit('${field}', this.value)" aria-label="${t('batch.unitFor', { field: fieldLabel(field) })}">
+                    ${options}
+                </select>
+            `;
+        }
+        return `
+            <div class="batch-mapping-row">
+                <span class="batch-field">${fieldLabel(field)}</span>
+                <select class="select-input" onchange="setBatchMapping('${field}', this.value)" aria-label="${t('batch.columnFor', { field: fieldLabel(field) })}">
+                    ${columnOptions(batch.mapping[field])}
+                </select>
+                ${unitSelect}
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = rows;
+    document.getElementById('batch-actions').style.display = '';
+
+    // Results of another model are stale
+    if (batch.model !== state.model) {
+        batch.scored = null;
+        document.getElementById('batch-summary').innerHTML = '';
+    }
+}
+
+window.setBatchMapping = function(field, column) {
+    state.batch.mapping[field] = column;
+};
+
+window.setBatchUnit = function(field, unit) {
+    state.batch.units[field] = unit;
+};
+
+window.runBatch = function() {
+    const batch = state.batch;
+    if (!batch) return;
+
+    // Flag values outside the slider ranges (SI)
+    const ranges = {};
+    Object.keys(CONFIG.RANGES).forEach(field => { ranges[field] = getSIRange(field); });
+
+    batch.scored = DiabetesBatch.scoreRows(batch.rows, {
+        model: state.model,
+        mapping: batch.mapping,
+        units: batch.units,
+        ranges,
+        categorize: getResultCategory
+    });
+    batch.model = state.model;
+    renderBatchSummary();
+};
+
+function renderBatchSummary() {
+    const container = document.getElementById('batch-summary');
+    const batch = state.batch;
+    if (!container || !batch || !batch.scored) return;
+
+    const summary = DiabetesBatch.summarize(batch.scored, batch.model);
+    const categoryRows = Object.keys(summary.categories).map(category => `
+        <li><span>${category}</span><span>${summary.categories[category]}</span></li>
+    `).join('');
+
+    const flagged = batch.scored.filter(entry => entry.missing.length || entry.implausible.length || entry.outOfRange.length);
+    const flaggedRows = flagged.slice(0, 5).map(entry => {
+        const issues = [
+            ...entry.missing.map(field => t('batch.missing', { field: fieldLabel(field) })),
+            ...entry.implausible.map(field => t('batch.implausible', { field: fieldLabel(field) })),
+            ...entry.outOfRange.map(field => t('batch.outOfRange', { field: fieldLabel(field) }))
+        ].join(', ');
+        return `<li>${t('batch.line', { line: entry.line, issues })}</li>`;
+    }).join('');
+    const moreFlagged = flagged.length > 5 ? `<li>${t('batch.more', { count: flagged.length - 5 })}</li>` : '';
+
+    container.innerHTML = `
+        <div class="batch-counts">
+            <span><strong>${summary.scored}</strong> ${t('batch.ofScored', { total: summary.total })}</span>
+            <span class="${summary.flagged ? 'batch-flagged' : ''}"><strong>${summary.flagged}</strong> ${t('batch.flagged')}</span>
+        </div>
+        ${renderBatchHistogram(summary.histogram)}
+        <ul class="batch-categories">${categoryRows}</ul>
+        ${flagged.length ? `<ul class="batch-flags">${flaggedRows}${moreFlagged}</ul>` : ''}
+        <button type="button" class="text-button" onclick="downloadBatchResults()">
+            <span class="material-icons-round">download</span>
+            ${t('batch.download')}
+        </button>
+    `;
+}
+
+function renderBatchHistogram(histogram) {
+    const left = 24, right = 292, top = 8, bottom = 96;
+    const maxCount = Math.max(1, ...histogram.map(bin => bin.count));
+    const slot = (right - left) / histogram.length;
+
+    const bars = histogram.map((bin, i) => {
+        const height = (bin.count / maxCount) * (bottom - top);
+        const x = left + i * slot;
+        return `
+            <rect x="${x + 1}" y="${bottom - height}" width="${slot - 2}" height="${height}" rx="1" class="batch-bar">
+                <title>${bin.label}: ${bin.count}</title>
+            </rect>
+            <text x="${x + slot / 2}" y="110" text-anchor="middle" class="trend-label">${bin.label.split('–')[0]}</text>
+        `;
+    }).join('');
+
+    return `
+        <svg viewBox="0 0 300 118" class="trend-svg" role="img" aria-label="${t('batch.distribution')}">
+            <line x1="${left}" x2="${right}" y1="${bottom}" y2="${bottom}" class="trend-grid"/>
+            <text x="${left - 4}" y="${top + 3}" text-anchor="end" class="trend-label">${maxCount}</text>
+            <text x="${left - 4}" y="${bottom}" text-anchor="end" class="trend-label">0</text>
+            ${bars}
+        </svg>
+    `;
+}
+
+window.downloadBatchResults = function() {
+    const batch = state.batch;
+    if (!batch || !batch.scored) return;
+
+    const csv = DiabetesBatch.resultsCSV(batch.headers, batch.scored, batch.model);
+    const baseName = batch.fileName.replace(/\.csv$/i, '');
+    downloadFile(`${baseName}-scored.csv`, csv, 'text/csv');
+};
+
+function setBatchStatus(message, isError) {
+    const status = document.getElementById('batch-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+}
+
+// ============================================
+// 15. LANGUAGE
+// ============================================
+
+const LOCALE_STORAGE_KEY = 'diabetes-calculator.locale';
+
+// Stored choice, else the browser language; reports incomplete catalogs
+function initLocale() {
+    const missing = DiabetesI18n.findMissingKeys();
+    Object.keys(missing).forEach(locale => {
+        console.warn(`Locale "${locale}" is missing or mismatches messages: ${missing[locale].join(', ')}`);
+    });
+
+    const stored = getStorage().getItem(LOCALE_STORAGE_KEY);
+    DiabetesI18n.setLocale(DiabetesI18n.matchLocale(stored || navigator.language));
+    populateLocaleSelect();
+    applyTranslations();
+}
+
+function populateLocaleSelect() {
+    const select = document.getElementById('locale-select');
+    if (!select) return;
+
+    select.innerHTML = DiabetesI18n.listLocales()
+        .map(locale => `<option value="${locale.id}">${locale.name}</option>`)
+        .join('');
+    select.value = DiabetesI18n.getLocale();
+}
+
+window.selectLocale = function(locale) {
+    DiabetesI18n.setLocale(locale);
+    try {
+        getStorage().setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (e) {
+        // Storage full or blocked: the choice lasts for this page only
+    }
+
+    // Typed values read with either separator; show them with the new one
+    [...SLIDER_FIELDS, ...OPTIONAL_FIELDS].forEach(field => {
+        const input = document.getElementById(`${field}-value`);
+        const value = readNumber(field);
+        if (input && !isNaN(value)) input.value = formatNumber(value);
+    });
+
+    applyTranslations();
+    populateLocaleSelect();
+    populateModelSelect();
+    populateEthnicitySelect();
+    populateGoalSelect();
+    populateGuidelineSelect();
+    populateProfileSelect();
+    Object.keys(DiabetesRiskEngine.UNITS).forEach(updateFieldUnit);
+    applyModelInputs();
+    calculateRisk();
+
+    // Category labels of scored batches are stored as text
+    if (state.batch && state.batch.scored) runBatch();
+};
+
+// Static page text: data-i18n sets the text, data-i18n-<attribute> an attribute
+function applyTranslations() {
+    document.documentElement.lang = DiabetesI18n.getLocale();
+
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    ['title', 'placeholder', 'aria-label'].forEach(attribute => {
+        document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+}
+
+// Display label of a model input, or the field name where none is defined
+function fieldLabel(field) {
+    return DiabetesI18n.has(`label.${field}`) ? t(`label.${field}`) : field;
+}
+
+// Translated model name or outcome; registered models without messages keep their own
+function modelText(model, property) {
+    const key = `model.${model.id}.${property}`;
+    return DiabetesI18n.has(key) ? t(key) : model[property];
+}
+
+// ============================================
+// 16. GUIDELINE PROFILES
+// ============================================
+
+const GUIDELINES_URL = 'guidelines.json';
+const GUIDELINE_STORAGE_KEY = 'diabetes-calculator.guideline';
+
+// Selectable profiles: the built-in one plus those from guidelines.json
+const guidelineProfiles = [BUILT_IN_GUIDELINE];
+
+// Profiles from guidelines.json replace the built-in one by id or add to it.
+// Without the file (e.g. the page opened from disk) the built-in profile stays.
+function loadGuidelines() {
+    populateGuidelineSelect();
+    if (typeof fetch !== 'function') return;
+
+    fetch(GUIDELINES_URL)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(data => {
+            const parsed = DiabetesGuidelines.parseGuidelines(data);
+            parsed.errors.forEach(error => console.warn(error));
+            parsed.profiles.forEach(profile => {
+                const merged = DiabetesGuidelines.mergeProfile(BUILT_IN_GUIDELINE, profile);
+                const index = guidelineProfiles.findIndex(other => other.id === profile.id);
+                if (index >= 0) guidelineProfiles[index] = merged;
+                else guidelineProfiles.push(merged);
+            });
+            applyGuideline(getStorage().getItem(GUIDELINE_STORAGE_KEY) || state.guideline.id);
+        })
+        .catch(error => console.warn(`Guideline profiles not loaded from ${GUIDELINES_URL}: ${error.message}`));
+}
+
+function populateGuidelineSelect() {
+    const select = document.getElementById('guideline-select');
+    if (!select) return;
+
+    select.innerHTML = guidelineProfiles
+        .map(profile => `<option value="${escapeHTML(profile.id)}">${escapeHTML(guidelineText(profile.name))}</option>`)
+        .join('');
+    select.value = state.guideline.id;
+    updateGuidelineInfo();
+}
+
+window.selectGuideline = function(id) {
+    try {
+        getStorage().setItem(GUIDELINE_STORAGE_KEY, id);
+    } catch (e) {
+        // Storage full or blocked: the choice lasts for this page only
+    }
+    applyGuideline(id);
+};
+
+// Switches to a profile (unknown ids keep the current one) and re-scores
+function applyGuideline(id) {
+    const profile = guidelineProfiles.find(other => other.id === id)
+        || guidelineProfiles.find(other => other.id === state.guideline.id)
+        || BUILT_IN_GUIDELINE;
+
+    // Therapies and targets of the previous profile may not exist in this one
+    if (profile.id !== state.guideline.id) {
+        state.selectedTherapies = [];
+        state.goalTarget = null;
+    }
+    state.guideline = profile;
+
+    populateGuidelineSelect();
+    populateGoalSelect();
+    calculateRisk();
+    if (state.batch && state.batch.scored) runBatch();
+}
+
+// Version, date and citations of the active profile under its select
+function updateGuidelineInfo() {
+    const info = document.getElementById('guideline-info');
+    if (!info) return;
+
+    const profile = state.guideline;
+    const version = t('guideline.version', {
+        version: profile.version,
+        date: formatDate(parseVisitDate(profile.date))
+    });
+    info.textContent = getRiskCategories() === profile.riskCategories ? version : `${version}. ${t('guideline.categoryModels', {
+        models: DiabetesRiskEngine.listModels()
+            .filter(model => profile.riskCategoryModels.includes(model.id))
+            .map(model => modelText(model, 'name')).join(', ')
+    })}`;
+    info.title = [...profile.citations, guidelineText(profile.notes)].filter(Boolean).join('\n');
+}
+
+// Profile text (a string or { locale: text }) in the active locale
+function guidelineText(text) {
+    return DiabetesGuidelines.localize(text, DiabetesI18n.getLocale());
+}
+
+// A profile's own label, else the `category.${cls}` message
+function categoryLabel(category) {
+    return category.label ? guidelineText(category.label) : t(`category.${category.cls}`);
+}
+
+// A therapy's own name or description (`part`), else its `therapy.${id}.${part}` message
+function therapyText(therapy, part) {
+    if (therapy[part]) return guidelineText(therapy[part]);
+    const key = `therapy.${therapy.id}.${part}`;
+    return DiabetesI18n.has(key) ? t(key) : (part === 'name' ? therapy.id : '');
+}
+
+// ============================================
+// 17. PATIENT VIEW
+// ============================================
+
+window.togglePatientView = function() {
+    state.patientView = !state.patientView;
+    document.body.classList.toggle('patient-view', state.patientView);
+
+    const button = document.getElementById('patient-view-button');
+    if (button) button.setAttribute('aria-pressed', String(state.patientView));
+    if (state.lastResult) updatePatientView(state.lastResult);
+};
+
+// Plain-language result from the same computed data: a natural frequency with an
+// icon array, the largest risk-raising factors explained and lifestyle steps first
+function updatePatientView(result) {
+    const container = document.getElementById('patient-content');
+    if (!container || !state.patientView) return;
+
+    const items = sortContributions(result.contributions);
+    container.innerHTML = `
+        ${renderPatientRisk(result)}
+        ${renderPatientFactors(items)}
+        ${renderPatientSteps(items)}
+        <p class="patient-note">${t('patient.note')}</p>
+    `;
+}
+
+function renderPatientRisk(result) {
+    if (result.probability === null) {
+        const positive = result.points >= result.model.cutoff;
+        return `<p class="patient-frequency">${t(positive ? 'patient.screenPositive' : 'patient.screenNegative')}</p>`;
+    }
+
+    const total = CONFIG.PATIENT.PEOPLE;
+    const count = Math.round(result.probability * total);
+    const years = result.model.horizon;
+    const sentence = count === 0 && result.probability > 0
+        ? t('patient.frequencyUnder', { total, years })
+        : t('patient.frequency', { count, total, years });
+    const category = getRiskCategory(result.probability * 100);
+    const color = escapeHTML(category.color);
+
+    return `
+        <p class="patient-frequency">${sentence}</p>
+        ${renderIconArray(count, total, color, sentence)}
+        <div class="patient-legend" aria-hidden="true">
+            <span><span class="legend-person" style="background: ${color}"></span>${t('patient.affected')}</span>
+            <span><span class="legend-person"></span>${t('patient.unaffected')}</span>
+        </div>
+        <p class="patient-category">${t('patient.category', { category: escapeHTML(categoryLabel(category)) })}</p>
+    `;
+}
+
+// `count` of `total` people drawn in `color`, ten per row
+function renderIconArray(count, total, color, label) {
+    const columns = 10;
+    const rows = Math.ceil(total / columns);
+    const people = [];
+    for (let i = 0; i < total; i++) {
+        const x = (i % columns) * 10 + 5;
+        const y = Math.floor(i / columns) * 13 + 3.2;
+        const fill = i < count ? ` class="affected" style="fill: ${color}"` : '';
+        people.push(`
+            <g${fill}>
+                <circle cx="${x}" cy="${y}" r="2.2"></circle>
+                <rect x="${x - 3}" y="${y + 3}" width="6" height="6" rx="2.5"></rect>
+            </g>`);
+    }
+    return `
+        <svg class="icon-array" viewBox="0 0 ${columns * 10} ${rows * 13}" role="img" aria-label="${escapeHTML(label)}">
+            ${people.join('')}
+        </svg>
+    `;
+}
+
+// The largest risk-raising factors in the chart's order with a lay explanation,
+// then the measurements that are better than average and need no treatment
+function renderPatientFactors(items) {
+    const raising = items.filter(item => item.val > 0).slice(0, CONFIG.PATIENT.TOP_FACTORS);
+    const helping = items.filter(item => item.val < 0 && SLIDER_FIELDS.includes(item.key)
+        && !state.indicatedFactors.includes(item.key));
+    if (!raising.length && !helping.length) return '';
+
+    const explanations = raising.map(item => {
+        const why = DiabetesI18n.has(`patient.why.${item.key}`) ? ` ${t(`patient.why.${item.key}`)}` : '';
+        return `<li><strong>${capitalize(t('patient.raises', { factor: patientFactorName(item.key) }))}</strong>${why}</li>`;
+    });
+    const helpingText = helping.length
+        ? `<p class="patient-helping">${t('patient.helping', { factors: patientList(helping.map(item => patientFactorName(item.key))) })}</p>`
+        : '';
+
+    return `
+        <h4 class="patient-heading">${t('patient.factorsTitle')}</h4>
+        ${explanations.length ? `<ul class="patient-factors">${explanations.join('')}</ul>` : ''}
+        ${helpingText}
+    `;
+}
+
+// Lifestyle therapies of the indicated factors and tips for risk-raising habits,
+// in the chart's order; factors that may need medicine or tests go to the doctor
+function renderPatientSteps(items) {
+    const tips = [];
+    const addTip = therapy => {
+        if (!tips.some(tip => tip.id === therapy.id)) tips.push(therapy);
+    };
+    items.forEach(item => {
+        if (state.indicatedFactors.includes(item.key)) {
+            state.guideline.treatments[item.key].therapies
+                .filter(therapy => therapy.lifestyle)
+                .forEach(addTip);
+        } else if (item.val > 0 && CONFIG.PATIENT.TIPS[item.key]) {
+            const id = CONFIG.PATIENT.TIPS[item.key];
+            addTip(findTherapy(id) || { id });
+        }
+    });
+
+    const doctorFactors = state.indicatedFactors.filter(factor => TOP_LEVELS.includes(state.indicatedLevels[factor])
+        || getIndicatedTherapies(factor).some(therapy => !therapy.lifestyle));
+    const doctor = doctorFactors.length
+        ? `
+            <p class="patient-doctor">
+                <span class="material-icons-round">medical_services</span>
+                <span>${t('patient.doctor', { factors: patientList(doctorFactors.map(patientFactorName)) })}</span>
+            </p>`
+        : '';
+
+    let steps = '';
+    if (tips.length) steps = `<ul class="patient-steps">${tips.map(tip => `<li>${patientTip(tip)}</li>`).join('')}</ul>`;
+    else if (!doctor) steps = `<p>${t('patient.keepGoing')}</p>`;
+
+    return `
+        <h4 class="patient-heading">${t('patient.stepsTitle')}</h4>
+        ${steps}
+        ${doctor}
+    `;
+}
+
+// A therapy of the active guideline by id
+function findTherapy(id) {
+    const treatments = Object.values(state.guideline.treatments);
+    for (const treatment of treatments) {
+        const therapy = treatment.therapies.find(candidate => candidate.id === id);
+        if (therapy) return therapy;
+    }
+    return null;
+}
+
+// HTML for a therapy's patient tip; the profile's own text is escaped
+function patientTip(therapy) {
+    const key = `patient.tip.${therapy.id}`;
+    if (DiabetesI18n.has(key)) return t(key);
+    return [therapyText(therapy, 'name'), therapyText(therapy, 'desc')].filter(Boolean).map(escapeHTML).join(': ');
+}
+
+// Lay name of a model input, else its label
+function patientFactorName(field) {
+    const key = `patient.factor.${field}`;
+    return DiabetesI18n.has(key) ? t(key) : fieldLabel(field);
+}
+
+// "a, b and c" in the active locale
+function patientList(names) {
+    return new Intl.ListFormat(DiabetesI18n.getLocale(), { type: 'conjunction' }).format(names);
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,254 @@
+/**
+ * FHIR R4 Interoperability
+ * Maps a Bundle of Observations (LOINC) plus the Patient resource onto the
+ * calculator inputs, and exports a computed result as a RiskAssessment.
+ * Loads as a classic <script> (window.DiabetesFhir) or via require().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./risk-engine.js'));
+    } else {
+        root.DiabetesFhir = factory(root.DiabetesRiskEngine);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Engine) {
+    'use strict';
+
+    const LOINC = 'http://loinc.org';
+    const UCUM = 'http://unitsofmeasure.org';
+
+    // ============================================
+    // 1. LOINC MAPPING
+    // ============================================
+
+    // LOINC code -> calculator field
+    const LOINC_FIELDS = {
+        '1558-6': 'fastGlu',    // Fasting glucose [Mass/volume] in Serum or Plasma
+        '14771-0': 'fastGlu',   // Fasting glucose [Moles/volume] in Serum or Plasma
+        '2085-9': 'cholHDL',    // HDL Cholesterol [Mass/volume]
+        '14646-4': 'cholHDL',   // HDL Cholesterol [Moles/volume]
+        '2571-8': 'cholTri',    // Triglyceride [Mass/volume]
+        '14927-8': 'cholTri',   // Triglyceride [Moles/volume]
+        '8480-6': 'sbp',        // Systolic blood pressure (also a BP panel component)
+        '8302-2': 'height',     // Body height
+        '8280-0': 'waist',      // Waist circumference at umbilicus by tape measure
+        '56115-9': 'waist',     // Waist circumference by NCFS
+        '39156-5': 'bmi',       // Body mass index
+        '29463-7': 'weight',    // Body weight
+        '4548-4': 'hba1c',      // Hemoglobin A1c/Hemoglobin.total in Blood
+        '17856-6': 'hba1c',     // Hemoglobin A1c/Hemoglobin.total in Blood by HPLC
+        '59261-8': 'hba1c'      // Hemoglobin A1c/Hemoglobin.total in Blood by IFCC protocol
+    };
+
+    // UCUM unit -> multiplier to the field's SI unit, per field; a string names
+    // the engine unit to convert through (units with an offset)
+    const C = Engine.CONVERSIONS;
+    const UNIT_FACTORS = {
+        fastGlu: { 'mmol/L': 1, 'mg/dL': C.gluToMmol },
+        cholHDL: { 'mmol/L': 1, 'mg/dL': C.hdlToMmol },
+        cholTri: { 'mmol/L': 1, 'mg/dL': C.triToMmol },
+        sbp: { 'mm[Hg]': 1, 'mmHg': 1 },
+        height: { 'cm': 1, 'm': 100, '[in_i]': C.heightToCm, 'in': C.heightToCm },
+        waist: { 'cm': 1, 'm': 100, '[in_i]': C.waistToCm, 'in': C.waistToCm },
+        bmi: { 'kg/m2': 1, 'kg/m^2': 1 },
+        weight: { 'kg': 1, 'g': 0.001, '[lb_av]': Engine.getUnit('weight', 'lb').factor },
+        hba1c: { 'mmol/mol': 1, '%': '%' }
+    };
+
+    // ============================================
+    // 2. IMPORT
+    // ============================================
+
+    // Error with a `type` the page translates (fhir.error.<type>)
+    function importError(type, message) {
+        const error = new Error(message);
+        error.type = type;
+        return error;
+    }
+
+    function loincCodes(codeableConcept) {
+        return ((codeableConcept && codeableConcept.coding) || [])
+            .filter(coding => coding.system === LOINC)
+            .map(coding => coding.code);
+    }
+
+    function toSIValue(field, quantity) {
+        if (!quantity || typeof quantity.value !== 'number') return null;
+        const unit = quantity.code || quantity.unit;
+        const factor = UNIT_FACTORS[field][unit];
+        if (factor === undefined) return null;
+        if (typeof factor === 'string') return Engine.toSI({ [field]: quantity.value }, { [field]: factor })[field];
+        return quantity.value * factor;
+    }
+
+    function effectiveDate(observation) {
+        return observation.effectiveDateTime
+            || (observation.effectivePeriod && observation.effectivePeriod.start)
+            || observation.issued
+            || '';
+    }
+
+    // Whole years between an ISO birth date and `asOf`
+    function ageOn(birthDate, asOf) {
+        // FHIR dates may be YYYY, YYYY-MM or YYYY-MM-DD; read as a local date, not UTC
+        const [year, month = 1, day = 1] = birthDate.split('-').map(Number);
+        const birth = new Date(year, month - 1, day);
+        let age = asOf.getFullYear() - birth.getFullYear();
+        const beforeBirthday = asOf.getMonth() < birth.getMonth()
+            || (asOf.getMonth() === birth.getMonth() && asOf.getDate() < birth.getDate());
+        if (beforeBirthday) age--;
+        return age;
+    }
+
+    // Whether an Observation's subject reference names the patient, as
+    // Patient/<id>, an absolute URL ending in it or the entry's fullUrl
+    function isSubject(reference, patient, fullUrl) {
+        if (reference === fullUrl) return true;
+        if (!patient.id) return false;
+        const relative = `Patient/${patient.id}`;
+        return reference === relative || reference.endsWith(`/${relative}`);
+    }
+
+    /**
+     * Maps a FHIR R4 Bundle onto calculator inputs (SI units).
+     * The most recent final/amended/corrected observation wins per field.
+     * Only the first Patient is read; observations whose subject is someone
+     * else are left out.
+     * `options.asOf` (Date, default now) is the reference date for age.
+     * Returns { inputs, patientReference, sources, warnings } where sources
+     * maps each field to the id and date of the observation it came from and
+     * warnings are { type: 'noPatient' }, { type: 'unsupportedUnit', code, unit }
+     * or { type: 'otherSubject', reference, count } per other subject.
+     * Anything but a Bundle throws an Error with `type` 'notBundle'.
+     */
+    function importBundle(bundle, options) {
+        if (!bundle || bundle.resourceType !== 'Bundle') {
+            throw importError('notBundle', 'Expected a FHIR Bundle resource');
+        }
+        const asOf = (options && options.asOf) || new Date();
+        const entries = (bundle.entry || []).filter(entry => entry && entry.resource);
+        const resources = entries.map(entry => entry.resource);
+
+        const inputs = {};
+        const sources = {};
+        const warnings = [];
+        let patientReference = null;
+
+        const patientEntry = entries.find(entry => entry.resource.resourceType === 'Patient');
+        const patient = patientEntry && patientEntry.resource;
+        if (patient) {
+            patientReference = patient.id ? `Patient/${patient.id}` : null;
+            if (patient.birthDate) inputs.age = ageOn(patient.birthDate, asOf);
+            if (patient.gender === 'male' || patient.gender === 'female') inputs.sex = patient.gender;
+        } else {
+            warnings.push({ type: 'noPatient' });
+        }
+
+        const record = (field, value, observation) => {
+            const date = effectiveDate(observation);
+            if (sources[field] && sources[field].date > date) return;
+            inputs[field] = value;
+            sources[field] = { id: observation.id || null, date };
+        };
+
+        // Observations without a subject are taken to be the patient's
+        const otherSubjects = {};
+        const ofPatient = observation => {
+            const reference = observation.subject && observation.subject.reference;
+            if (!patient || typeof reference !== 'string' || isSubject(reference, patient, patientEntry.fullUrl)) return true;
+            otherSubjects[reference] = (otherSubjects[reference] || 0) + 1;
+            return false;
+        };
+
+        resources
+            .filter(resource => resource.resourceType === 'Observation')
+            .filter(observation => !observation.status || ['final', 'amended', 'corrected'].includes(observation.status))
+            .filter(ofPatient)
+            .forEach(observation => {
+                // The observation itself plus any components (e.g. a blood pressure panel)
+                const parts = [observation].concat(observation.component || []);
+                parts.forEach(part => {
+                    loincCodes(part.code).forEach(code => {
+                        const field = LOINC_FIELDS[code];
+                        if (!field) return;
+
+                        const value = toSIValue(field, part.valueQuantity);
+                        if (value === null) {
+                            const unit = part.valueQuantity && (part.valueQuantity.code || part.valueQuantity.unit);
+                            warnings.push({ type: 'unsupportedUnit', code, unit: unit || null });
+                            return;
+                        }
+                        record(field, value, observation);
+                    });
+                });
+            });
+
+        Object.keys(otherSubjects).forEach(reference => {
+            warnings.push({ type: 'otherSubject', reference, count: otherSubjects[reference] });
+        });
+        return { inputs, patientReference, sources, warnings };
+    }
+
+    // ============================================
+    // 3. EXPORT
+    // ============================================
+
+    /**
+     * Builds a FHIR R4 RiskAssessment from a computeRisk result.
+     * `options.patientReference` (e.g. 'Patient/123'), `options.basis`
+     * (observation references), `options.category` (qualitative risk text)
+     * and `options.date` (ISO string, default now) are optional; without a
+     * patient reference the subject is a contained Patient.
+     */
+    function toRiskAssessment(result, options) {
+        const opts = options || {};
+        const model = result.model;
+
+        const prediction = {
+            outcome: {
+                coding: [{ system: 'http://snomed.info/sct', code: '44054006', display: 'Diabetes mellitus type 2' }],
+                text: model.outcome
+            }
+        };
+        if (result.probability !== null) prediction.probabilityDecimal = Number(result.probability.toFixed(4));
+        if (opts.category) prediction.qualitativeRisk = { text: opts.category };
+        if (model.horizon) {
+            prediction.whenRange = { high: { value: model.horizon, unit: 'years', system: UCUM, code: 'a' } };
+        }
+
+        const notes = [{ text: `Model: ${model.name}. ${model.citation}` }];
+        if (result.points !== undefined) {
+            notes.push({ text: `Score: ${result.points} of ${model.maxPoints} points` });
+        }
+
+        const assessment = {
+            resourceType: 'RiskAssessment',
+            status: 'final',
+            method: { text: model.name },
+            occurrenceDateTime: opts.date || new Date().toISOString(),
+            prediction: [prediction],
+            note: notes
+        };
+        // subject is required (1..1): without an imported Patient, reference a contained one
+        if (opts.patientReference) {
+            assessment.subject = { reference: opts.patientReference };
+        } else {
+            const patient = { resourceType: 'Patient', id: 'patient' };
+            if (result.values && (result.values.sex === 'male' || result.values.sex === 'female')) {
+                patient.gender = result.values.sex;
+            }
+            assessment.contained = [patient];
+            assessment.subject = { reference: '#patient' };
+        }
+        if (opts.basis && opts.basis.length) assessment.basis = opts.basis.map(reference => ({ reference }));
+
+        return assessment;
+    }
+
+    return {
+        LOINC_FIELDS,
+        UNIT_FACTORS,
+        importBundle,
+        toRiskAssessment
+    };
+});
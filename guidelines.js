@@ -0,0 +1,239 @@
+/**
+ * Guideline Profiles
+ * Risk category cut-offs, factor thresholds and therapy lists bundled per
+ * clinical guideline, with citations and version dates. Profiles are kept
+ * in guidelines.json and checked here before the calculator applies them.
+ * Loads as a classic <script> (window.DiabetesGuidelines) or via require().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DiabetesGuidelines = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // ============================================
+    // 1. VALIDATION
+    // ============================================
+
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    const LEVELS = ['elevated', 'high', 'low', 'veryLow'];
+
+    function isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    // Entries are checked field by field, so anything else must not reach them
+    function isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    // A plain string or { locale: string } with an English entry
+    function isText(value) {
+        if (typeof value === 'string') return value !== '';
+        return !!value && typeof value === 'object' && typeof value.en === 'string';
+    }
+
+    function checkCategories(categories, problems) {
+        if (!Array.isArray(categories) || !categories.length) {
+            problems.push('riskCategories must be a non-empty list');
+            return;
+        }
+        categories.forEach((category, i) => {
+            if (!isObject(category)) {
+                problems.push(`riskCategories[${i}] must be an object`);
+                return;
+            }
+            if (!isNumber(category.min)) problems.push(`riskCategories[${i}].min must be a number`);
+            if (typeof category.cls !== 'string' || !category.cls) problems.push(`riskCategories[${i}].cls is required`);
+            if (typeof category.color !== 'string') problems.push(`riskCategories[${i}].color is required`);
+            if (category.label !== undefined && !isText(category.label)) problems.push(`riskCategories[${i}].label must be text`);
+            if (i > 0 && !(category.min > (categories[i - 1] || {}).min)) problems.push('riskCategories must be in ascending order');
+        });
+        if ((categories[0] || {}).min !== 0) problems.push('riskCategories must start at 0');
+    }
+
+    // { elevated, high } for factors where high is bad, { low, veryLow } for inverse ones
+    function checkThreshold(field, threshold, problems) {
+        if (!isObject(threshold)) {
+            problems.push(`thresholds.${field} must be an object`);
+            return;
+        }
+        if (threshold.female !== undefined && !isObject(threshold.female)) {
+            problems.push(`thresholds.${field}.female must be an object`);
+            return;
+        }
+        const pairs = [['elevated', 'high'], ['veryLow', 'low']];
+        const pair = pairs.find(([lower, upper]) => lower in threshold || upper in threshold);
+        if (!pair) {
+            problems.push(`thresholds.${field} needs elevated/high or low/veryLow`);
+            return;
+        }
+        [threshold, threshold.female].filter(Boolean).forEach(layer => {
+            pair.filter(level => level in layer).forEach(level => {
+                if (!isNumber(layer[level])) problems.push(`thresholds.${field}.${level} must be a number`);
+            });
+        });
+        const [lower, upper] = pair;
+        if (isNumber(threshold[lower]) && isNumber(threshold[upper]) && threshold[lower] >= threshold[upper]) {
+            problems.push(`thresholds.${field}.${lower} must be below ${upper}`);
+        }
+    }
+
+    function checkTreatment(factor, treatment, problems) {
+        if (treatment === null) return;   // Removes the factor's treatments
+        const path = `treatments.${factor}`;
+        if (!isObject(treatment)) {
+            problems.push(`${path} must be an object or null`);
+            return;
+        }
+        if (typeof treatment.id !== 'string' || typeof treatment.icon !== 'string') {
+            problems.push(`${path} needs an id and an icon`);
+        }
+        if (treatment.escalation !== undefined && !isText(treatment.escalation)) {
+            problems.push(`${path}.escalation must be text`);
+        }
+        if (!Array.isArray(treatment.therapies) || !treatment.therapies.length) {
+            problems.push(`${path}.therapies must be a non-empty list`);
+            return;
+        }
+        treatment.therapies.forEach((therapy, i) => {
+            if (!isObject(therapy)) {
+                problems.push(`${path}.therapies[${i}] must be an object`);
+                return;
+            }
+            if (typeof therapy.id !== 'string' || !therapy.id) problems.push(`${path}.therapies[${i}].id is required`);
+            if (typeof therapy.source !== 'string' || !therapy.source) problems.push(`${path}.therapies[${i}].source is required`);
+            ['name', 'desc'].forEach(part => {
+                if (therapy[part] !== undefined && !isText(therapy[part])) problems.push(`${path}.therapies[${i}].${part} must be text`);
+            });
+            if (therapy.lifestyle !== undefined && typeof therapy.lifestyle !== 'boolean') {
+                problems.push(`${path}.therapies[${i}].lifestyle must be true or false`);
+            }
+            if (therapy.levels !== undefined && (!Array.isArray(therapy.levels) || !therapy.levels.length
+                || !therapy.levels.every(level => LEVELS.includes(level)))) {
+                problems.push(`${path}.therapies[${i}].levels must list some of ${LEVELS.join(', ')}`);
+            }
+            if (therapy.effects !== undefined && !Array.isArray(therapy.effects)) {
+                problems.push(`${path}.therapies[${i}].effects must be a list`);
+                return;
+            }
+            (therapy.effects || []).forEach((effect, j) => {
+                const valid = isObject(effect) && typeof effect.field === 'string'
+                    && (isNumber(effect.change) || isNumber(effect.relative))
+                    && [effect.change, effect.relative].every(value => value === undefined || isNumber(value));
+                if (!valid) problems.push(`${path}.therapies[${i}].effects[${j}] needs a field and a numeric change or relative`);
+            });
+        });
+    }
+
+    /**
+     * Problems with one profile, as readable strings (empty when valid).
+     * Required: id, name, version, date (YYYY-MM-DD) and citations; the
+     * notes and the riskCategories, thresholds and treatments sections are
+     * optional. riskCategoryModels limits the profile's categories to the
+     * ids of the models they were defined for. Names, notes, escalation notes
+     * and category or therapy labels may be a string or { en, de, ... }.
+     */
+    function validateProfile(profile) {
+        const problems = [];
+        if (!isObject(profile)) return ['profile must be an object'];
+
+        if (typeof profile.id !== 'string' || !profile.id) problems.push('id is required');
+        if (!isText(profile.name)) problems.push('name is required');
+        if (typeof profile.version !== 'string' || !profile.version) problems.push('version is required');
+        if (!DATE_PATTERN.test(profile.date || '')) problems.push('date must be YYYY-MM-DD');
+        if (!Array.isArray(profile.citations) || !profile.citations.length
+            || !profile.citations.every(citation => typeof citation === 'string')) {
+            problems.push('citations must be a non-empty list of strings');
+        }
+        if (profile.notes !== undefined && !isText(profile.notes)) problems.push('notes must be text');
+
+        if (profile.riskCategories !== undefined) checkCategories(profile.riskCategories, problems);
+        if (profile.riskCategoryModels !== undefined) {
+            if (profile.riskCategories === undefined) problems.push('riskCategoryModels needs riskCategories');
+            if (!Array.isArray(profile.riskCategoryModels) || !profile.riskCategoryModels.length
+                || !profile.riskCategoryModels.every(model => typeof model === 'string')) {
+                problems.push('riskCategoryModels must be a non-empty list of model ids');
+            }
+        }
+        const sections = {};
+        ['thresholds', 'treatments'].forEach(section => {
+            if (profile[section] !== undefined && !isObject(profile[section])) problems.push(`${section} must be an object`);
+            sections[section] = isObject(profile[section]) ? profile[section] : {};
+        });
+        Object.keys(sections.thresholds).forEach(field => {
+            checkThreshold(field, sections.thresholds[field], problems);
+        });
+        Object.keys(sections.treatments).forEach(factor => {
+            checkTreatment(factor, sections.treatments[factor], problems);
+        });
+        return problems;
+    }
+
+    /**
+     * Reads a guidelines file ({ profiles: [...] }, parsed or as JSON text).
+     * Returns { profiles, errors }: the valid profiles in file order, and one
+     * message per problem of the profiles that were left out.
+     */
+    function parseGuidelines(data) {
+        const file = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!file || !Array.isArray(file.profiles)) throw new Error('Expected { "profiles": [...] }');
+
+        const profiles = [];
+        const errors = [];
+        file.profiles.forEach((profile, i) => {
+            const name = profile && profile.id ? `"${profile.id}"` : `#${i + 1}`;
+            const problems = validateProfile(profile);
+            if (profile && profiles.some(other => other.id === profile.id)) problems.push('duplicate id');
+
+            if (problems.length) {
+                problems.forEach(problem => errors.push(`Guideline ${name}: ${problem}`));
+            } else {
+                profiles.push(profile);
+            }
+        });
+        return { profiles, errors };
+    }
+
+    // ============================================
+    // 2. PROFILES
+    // ============================================
+
+    /**
+     * `profile` completed from `base` (the built-in profile): risk categories
+     * are taken whole with the models they are limited to, thresholds and
+     * treatments per factor; a treatment set to null removes that factor's
+     * therapies.
+     */
+    function mergeProfile(base, profile) {
+        const treatments = { ...base.treatments, ...profile.treatments };
+        Object.keys(treatments).forEach(factor => {
+            if (treatments[factor] === null) delete treatments[factor];
+        });
+
+        return {
+            ...profile,
+            riskCategories: profile.riskCategories || base.riskCategories,
+            riskCategoryModels: profile.riskCategories ? profile.riskCategoryModels : base.riskCategoryModels,
+            thresholds: { ...base.thresholds, ...profile.thresholds },
+            treatments
+        };
+    }
+
+    // Text of a profile entry in `locale`, falling back to English
+    function localize(text, locale) {
+        if (typeof text === 'string') return text;
+        return (text && (text[locale] || text.en)) || '';
+    }
+
+    return {
+        validateProfile,
+        parseGuidelines,
+        mergeProfile,
+        localize
+    };
+});
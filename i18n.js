@@ -0,0 +1,137 @@
+/**
+ * Internationalization
+ * Message catalogs per locale, message lookup with {placeholder}
+ * interpolation, locale-aware number formatting and a completeness check
+ * across catalogs. Catalogs live in locales/<locale>.js.
+ * Loads as a classic <script> (window.DiabetesI18n) or via require().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DiabetesI18n = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    const DEFAULT_LOCALE = 'en';
+
+    const catalogs = {};
+    let current = DEFAULT_LOCALE;
+
+    // ============================================
+    // 1. CATALOGS
+    // ============================================
+
+    /**
+     * Adds (or replaces) the flat key -> message map of a locale.
+     * `language.name` holds the locale's own name for the switcher.
+     */
+    function registerCatalog(locale, messages) {
+        catalogs[locale] = messages;
+    }
+
+    // [{ id, name }] of the registered locales
+    function listLocales() {
+        return Object.keys(catalogs).map(id => ({ id, name: catalogs[id]['language.name'] || id }));
+    }
+
+    function setLocale(locale) {
+        if (!catalogs[locale]) throw new Error(`Unknown locale "${locale}"`);
+        current = locale;
+    }
+
+    function getLocale() {
+        return current;
+    }
+
+    // Best registered match for a BCP 47 tag such as 'de-AT', else the default
+    function matchLocale(tag) {
+        const language = String(tag || '').toLowerCase().split('-')[0];
+        return catalogs[language] ? language : DEFAULT_LOCALE;
+    }
+
+    // ============================================
+    // 2. MESSAGES
+    // ============================================
+
+    function has(key) {
+        return key in (catalogs[current] || {}) || key in (catalogs[DEFAULT_LOCALE] || {});
+    }
+
+    /**
+     * Message for `key` in the current locale (falling back to the default
+     * locale, then to the key itself) with {name} placeholders replaced
+     * from `params`.
+     */
+    function t(key, params) {
+        const catalog = catalogs[current] || {};
+        const fallback = catalogs[DEFAULT_LOCALE] || {};
+        const message = key in catalog ? catalog[key] : key in fallback ? fallback[key] : key;
+        if (!params) return message;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    // ============================================
+    // 3. NUMBERS
+    // ============================================
+
+    /**
+     * `value` with the current locale's decimal separator and no grouping.
+     * `digits` fixes the number of decimals; without it up to two are shown.
+     */
+    function formatNumber(value, digits) {
+        if (typeof value !== 'number' || isNaN(value)) return '';
+        const options = digits === undefined
+            ? { maximumFractionDigits: 2, useGrouping: false }
+            : { minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false };
+        return new Intl.NumberFormat(current, options).format(value);
+    }
+
+    // Reads a typed number with either decimal separator; NaN when empty or unreadable
+    function parseNumber(text) {
+        const normalized = String(text === undefined || text === null ? '' : text).trim().replace(',', '.');
+        return normalized === '' ? NaN : Number(normalized);
+    }
+
+    // ============================================
+    // 4. COMPLETENESS
+    // ============================================
+
+    /**
+     * Keys each catalog lacks compared with the union of all catalogs,
+     * plus keys whose {placeholders} differ from the default locale.
+     * Returns { locale: [key, ...] } for the incomplete locales only.
+     */
+    function findMissingKeys() {
+        const allKeys = new Set();
+        Object.keys(catalogs).forEach(locale => Object.keys(catalogs[locale]).forEach(key => allKeys.add(key)));
+
+        const placeholders = message => (message.match(/\{\w+\}/g) || []).sort().join();
+        const reference = catalogs[DEFAULT_LOCALE] || {};
+
+        const missing = {};
+        Object.keys(catalogs).forEach(locale => {
+            const catalog = catalogs[locale];
+            const keys = [...allKeys].filter(key => !(key in catalog)
+                || (key in reference && placeholders(catalog[key]) !== placeholders(reference[key])));
+            if (keys.length) missing[locale] = keys;
+        });
+        return missing;
+    }
+
+    return {
+        DEFAULT_LOCALE,
+        registerCatalog,
+        listLocales,
+        setLocale,
+        getLocale,
+        matchLocale,
+        has,
+        t,
+        formatNumber,
+        parseNumber,
+        findMissingKeys
+    };
+});
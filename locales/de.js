@@ -0,0 +1,413 @@
+/**
+ * German message catalog.
+ * Loads as a classic <script> after i18n.js (registers with window.DiabetesI18n)
+ * or via require(), which returns the messages.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DiabetesI18n.registerCatalog('de', factory());
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    return {
+        'language.name': 'Deutsch',
+
+        // Page
+        'app.title': 'Diabetes-Risikorechner',
+        'header.report': 'Bericht erstellen',
+        'header.language': 'Sprache',
+        'header.patientView': 'Patientenansicht',
+        'panel.patientData': 'Patientendaten',
+        'panel.shareLink': 'Link zu diesem Szenario kopieren',
+
+        // Common values and units
+        'common.yes': 'Ja',
+        'common.no': 'Nein',
+        'common.male': 'Männlich',
+        'common.female': 'Weiblich',
+        'common.black': 'Schwarz',
+        'common.other': 'Andere',
+        'unit.years': 'Jahre',
+        'format.points': '{value} Pkt.',
+        'format.pointsLong': '{value} Punkte',
+        'format.pp': '{value} %-Pkt.',
+        'format.ppLong': '{value} Prozentpunkte',
+
+        // Chart and report labels per model input
+        'label.age': 'Alter',
+        'label.race': 'Abstammung',
+        'label.ethnicity': 'Ethnische Herkunft',
+        'label.parentHist': 'Diabetes bei den Eltern',
+        'label.sbp': 'Blutdruck',
+        'label.waist': 'Taillenumfang',
+        'label.height': 'Körpergröße',
+        'label.fastGlu': 'Glukose',
+        'label.cholHDL': 'Gutes Cholesterin (HDL)',
+        'label.cholTri': 'Triglyzeride',
+        'label.sex': 'Geschlecht',
+        'label.bmi': 'Body-Mass-Index',
+        'label.relativeHist': 'Diabetes bei anderen Verwandten',
+        'label.gestDiab': 'Schwangerschaftsdiabetes',
+        'label.hypertension': 'Bluthochdruck',
+        'label.bpMeds': 'Blutdruckmedikamente',
+        'label.highGluHist': 'Früher erhöhte Glukose',
+        'label.physActivity': 'Körperliche Aktivität',
+        'label.vegFruit': 'Gemüse & Obst',
+        'label.hba1c': 'HbA1c',
+        'label.weight': 'Gewicht',
+
+        // Input panel
+        'profile.label': 'Patientenprofil',
+        'profile.unsaved': 'Nicht gespeicherter Patient',
+        'profile.save': 'Profil speichern',
+        'profile.duplicate': 'Profil duplizieren',
+        'profile.delete': 'Profil löschen',
+        'profile.promptName': 'Name des Profils:',
+        'profile.promptCopy': 'Name der Kopie:',
+        'profile.copyName': '{name} (Kopie)',
+        'profile.confirmDelete': 'Profil „{name}“ löschen?',
+        'fhir.label': 'FHIR-Datensatz',
+        'fhir.importFile': 'FHIR-Bundle importieren (JSON-Datei)',
+        'fhir.paste': 'FHIR-Bundle einfügen',
+        'fhir.export': 'Als FHIR-RiskAssessment exportieren',
+        'fhir.placeholder': 'FHIR-R4-Bundle (JSON) hier einfügen',
+        'fhir.import': 'Importieren',
+        'fhir.readError': '{file} konnte nicht gelesen werden',
+        'fhir.invalidJson': 'Ungültiges JSON',
+        'fhir.noObservations': 'Keine unterstützten Beobachtungen gefunden',
+        'fhir.imported': 'Importiert: {fields}',
+        'fhir.notImported': 'Nicht im Bundle, bitte eingeben: {fields}',
+        'fhir.error.notBundle': 'Keine FHIR-Bundle-Ressource',
+        'fhir.warning.noPatient': 'Keine Patient-Ressource: Alter und Geschlecht wurden nicht übernommen',
+        'fhir.warning.unsupportedUnit': 'LOINC {code} übersprungen: nicht unterstützte Einheit „{unit}“',
+        'fhir.warning.otherSubject': '{count} Beobachtung(en) einer anderen Person übersprungen ({reference})',
+        'fhir.noUnit': 'keine',
+        'units.label': 'Einheiten',
+        'units.select': 'Einheit',
+        'units.siToggle': 'SI-Einheiten für alle Messwerte',
+        'model.label': 'Risikomodell',
+        'guideline.label': 'Leitlinie',
+        'guideline.version': 'Version {version} vom {date}; Quellen beim Überfahren',
+        'guideline.categoryModels': 'Seine Risikokategorien gelten für {models}; dieses Modell nutzt die Standardkategorien',
+        'section.demographics': 'Demografie',
+        'section.body': 'Körpermaße',
+        'section.bloodPressure': 'Blutdruck',
+        'section.bloodWork': 'Laborwerte',
+        'section.history': 'Anamnese & Lebensstil',
+        'input.age': 'Alter',
+        'input.sex': 'Geschlecht',
+        'input.ethnicity': 'Ethnische Herkunft',
+        'input.parentHist': 'Diabetes bei den Eltern',
+        'input.relativeHist': 'Diabetes bei anderen Verwandten',
+        'input.gestDiab': 'Schwangerschaftsdiabetes in der Vorgeschichte',
+        'input.height': 'Körpergröße',
+        'input.waist': 'Taillenumfang',
+        'input.bmi': 'Body-Mass-Index (BMI)',
+        'input.weight': 'Körpergewicht',
+        'input.sbp': 'Systolischer Blutdruck (SBD)',
+        'input.fastGlu': 'Nüchternglukose',
+        'input.cholHDL': 'HDL-Cholesterin (gutes)',
+        'input.cholTri': 'Triglyzeride',
+        'input.hba1c': 'HbA1c',
+        'input.hypertension': 'Diagnostizierter Bluthochdruck',
+        'input.bpMeds': 'Blutdrucksenkende Medikamente',
+        'input.highGluHist': 'Früher erhöhter Blutzucker',
+        'input.physActivity': 'Körperlich aktiv (≥30 min/Tag)',
+        'input.vegFruit': 'Täglich Gemüse, Obst oder Beeren',
+        'input.optional': 'optional',
+        'input.hba1cHint': 'Optional: zeigt die mittlere Glukose; fließt nicht ins Risiko ein, das die Nüchternglukose braucht',
+        'input.weightHint': 'Optional: schätzt mit der Körpergröße einen fehlenden BMI',
+        'waistHint.text': 'Für das Risiko bitte den Taillenumfang messen. Zur Orientierung: Zu BMI {bmi} passt ein Taillenumfang von {range} (Lean et al., BMJ 1995).',
+        'waistHint.below': 'unter {max} {unit}',
+        'waistHint.between': '{min}–{max} {unit}',
+        'waistHint.above': '{min} {unit} oder mehr',
+        'hba1c.average': 'Mittlere Glukose ≈ {glucose} {unit} (ADAG)',
+        'hba1c.normal': 'unterhalb des Prädiabetes-Bereichs',
+        'hba1c.elevated': 'Prädiabetes-Bereich',
+        'hba1c.high': 'Diabetes-Bereich',
+        'band.normal': 'Normal',
+        'band.overweight': 'Übergewicht',
+        'band.obese': 'Adipositas',
+        'band.stage1': 'Grad 1',
+        'band.stage2': 'Grad 2',
+        'band.prediabetes': 'Prädiabetes',
+        'band.diabetes': 'Diabetes',
+        'band.low': 'Niedrig',
+        'band.borderline': 'Grenzwertig',
+        'band.good': 'Gut',
+
+        // Ethnicity options (ids of CONFIG.ETHNICITIES)
+        'ethnicity.white': 'Weiß / europid',
+        'ethnicity.black': 'Schwarz / afroamerikanisch',
+        'ethnicity.african': 'Afrikanisch (subsaharisch)',
+        'ethnicity.south-asian': 'Südasiatisch',
+        'ethnicity.east-asian': 'Ostasiatisch',
+        'ethnicity.hispanic': 'Hispanisch / lateinamerikanisch',
+        'ethnicity.middle-eastern': 'Nahöstlich / nordafrikanisch',
+        'ethnicity.other': 'Andere / gemischt',
+
+        // Validation
+        'issue.missing': 'Pflichtfeld: bitte einen Wert eingeben',
+        'issue.population': 'In der Ableitungskohorte von {model} nicht vertreten; mit Vorsicht interpretieren',
+        'issue.implausible': 'Unplausibler Wert (erwartet {range})',
+        'issue.extrapolated': 'Außerhalb des Modellbereichs ({range}); das Risiko ist extrapoliert',
+        'issue.waistHeight': 'Taille-Größe-Verhältnis von {ratio} ist unplausibel; bitte beide Werte prüfen',
+        'issue.hdlAboveTri': 'HDL über den Triglyzeriden ist ungewöhnlich; bitte beide Werte prüfen',
+        'validation.extrapolated': 'Extrapoliert: {fields} außerhalb der Ableitungskohorte des Modells',
+        'validation.checkInputs': 'Markierte Eingaben prüfen',
+        'validation.notCalculated': 'Risiko nicht berechnet: bitte die markierten Eingaben korrigieren.',
+        'imputation.badge': 'Geschätzt: {fields}',
+        'imputation.from': '{field} aus {sources}',
+        'imputation.estimated': 'geschätzt',
+
+        // Risk display
+        'risk.title': '{years}-Jahres-Diabetesrisiko',
+        'risk.screeningTitle': 'Diabetes-Screening-Score',
+        'risk.outOf': ' / {max} Pkt.',
+        'risk.modelPoints': '{points} / {max} Punkte',
+        'category.low': 'Niedriges Risiko',
+        'category.moderate': 'Mäßiges Risiko',
+        'category.high': 'Hohes Risiko',
+        'category.very-high': 'Sehr hohes Risiko',
+        'category.screenPositive': 'Hohes Risiko – Test empfohlen',
+
+        // Models (registry ids); unlisted models show their own name and outcome
+        'model.aric-clinical.name': 'ARIC-Modell (klinisch)',
+        'model.aric-clinical.outcome': 'Neu auftretender Typ-2-Diabetes',
+        'model.aric-basic.name': 'ARIC-Basismodell (ohne Labor)',
+        'model.aric-basic.outcome': 'Neu auftretender Typ-2-Diabetes',
+        'model.findrisc.name': 'FINDRISC',
+        'model.findrisc.outcome': 'Medikamentös behandelter Typ-2-Diabetes',
+        'model.ada.name': 'ADA-Risikotest',
+        'model.ada.outcome': 'Unentdeckter Typ-2-Diabetes (Screening)',
+        'model.framingham.name': 'Framingham-Offspring-Score (einfach)',
+        'model.framingham.outcome': 'Neu auftretender Typ-2-Diabetes',
+
+        // Treatment recommendations
+        'treatments.title': 'Behandlungsempfehlungen',
+        'treatments.indicated': 'Indizierte Behandlungen anhand Ihrer Werte',
+        'treatments.simulateHint': 'Therapien ankreuzen, um ihre voraussichtliche Wirkung auf das Risiko zu simulieren.',
+        'treatments.simulate': 'Diese Therapie simulieren',
+        'treatments.allNormal': 'Alle beeinflussbaren Risikofaktoren liegen im Normalbereich. Gesunden Lebensstil beibehalten.',
+        'treatments.alsoActsOn': 'Wirkt auch auf: {factors}',
+        'treatments.metabolicSyndrome': '{count} der {total} Kriterien des metabolischen Syndroms sind erfüllt. Als ein Krankheitsbild behandeln und Therapien bevorzugen, die mehrere Faktoren beeinflussen.',
+        'treatments.combinedHigh': '{factors} liegen alle in der höheren Schweregradstufe. Gemeinsam statt nacheinander behandeln und innerhalb von 3 Monaten kontrollieren.',
+        'severity.elevated': 'Erhöht',
+        'severity.high': 'Hoch',
+        'severity.low': 'Niedrig',
+        'severity.veryLow': 'Sehr niedrig',
+        'escalation.fastGlu': 'Nüchternglukose im Diabetesbereich: mit Wiederholungsmessung oder HbA1c bestätigen und Diabetes abklären statt nur vorzubeugen.',
+        'escalation.sbp': 'Hypertonie Grad 2: mit Messungen außerhalb der Praxis bestätigen und zusätzlich zur Lebensstiländerung medikamentös behandeln.',
+        'escalation.cholHDL': 'Sehr niedriges HDL: nach sekundären Ursachen suchen (Rauchen, Bewegungsmangel, hohe Triglyzeride, Insulinresistenz) und das vollständige Lipidprofil bestimmen.',
+        'escalation.cholTri': 'Hohe Triglyzeride: sekundäre Ursachen ausschließen (Alkohol, unkontrollierte Glukose, Medikamente) und das kardiovaskuläre Gesamtrisiko für eine medikamentöse Therapie beurteilen.',
+        'escalation.waist': 'Abdominelle Adipositas: BMI und Begleiterkrankungen prüfen; Medikamente oder Chirurgie erwägen, wenn Lebensstiländerungen nicht ausreichen.',
+        'heatmap.riskAxis': 'Risiko %',
+        'heatmap.glucoseAxis': 'Nüchternglukose',
+        'heatmap.label': 'Behandlungszonen nach Risiko und Nüchternglukose',
+        'heatmap.position': 'Behandlungszonen nach Risiko und Nüchternglukose. Aktuelle Position: Glukose {glucose}, Risiko {risk} %, Zone: {zone}',
+        'heatmap.zone1': 'Niedriges Risiko\nGesunden Lebensstil beibehalten',
+        'heatmap.zone2': 'Lebensstiländerungen empfohlen',
+        'heatmap.zone3': 'Metformin + Lebensstiländerungen erwägen',
+        'heatmap.zone4': 'Hohe Glukose\nÄrztliche Abklärung nötig',
+        'heatmap.zone5': 'Hohes Risiko\nGLP-1-Agonisten oder SGLT2-Hemmer ggf. indiziert + Metformin und Lebensstiländerungen',
+        'treatment.fastGlu': 'Glukosemanagement',
+        'treatment.sbp': 'Blutdruckeinstellung',
+        'treatment.cholHDL': 'Verbesserung des HDL-Cholesterins',
+        'treatment.cholTri': 'Senkung der Triglyzeride',
+        'treatment.waist': 'Behandlung der abdominalen Adipositas',
+        'therapy.lifestyle.name': 'Intensives Lebensstilprogramm',
+        'therapy.lifestyle.desc': '7 % Gewichtsabnahme und 150 Min./Woche Bewegung senken die Diabetesprogression um 58 %',
+        'therapy.metformin.name': 'Metformin',
+        'therapy.metformin.desc': 'Erste Wahl bei erhöhter Glukose (HbA1c ≥6,5 %)',
+        'therapy.glp1.name': 'GLP-1-RA',
+        'therapy.glp1.desc': 'Semaglutid/Tirzepatid zur Blutzuckerkontrolle + Gewichtsabnahme',
+        'therapy.sglt2.name': 'SGLT2-Hemmer',
+        'therapy.sglt2.desc': 'Empagliflozin senkt die Glukose über die Ausscheidung im Urin',
+        'therapy.aceArb.name': 'ACE-Hemmer/ARB',
+        'therapy.aceArb.desc': 'Erste Wahl bei Diabetes + Bluthochdruck',
+        'therapy.dash.name': 'DASH-Diät',
+        'therapy.dash.desc': 'Ernährungsweise zur Senkung des Bluthochdrucks',
+        'therapy.sodium.name': 'Salzreduktion',
+        'therapy.sodium.desc': 'Ziel <2300 mg Natrium pro Tag',
+        'therapy.aerobic.name': 'Ausdauertraining',
+        'therapy.aerobic.desc': '150 min/Woche erhöhen HDL um 5–10 %',
+        'therapy.smoking.name': 'Rauchstopp',
+        'therapy.smoking.desc': 'Hebt HDL binnen Wochen um 5–10 %',
+        'therapy.omega3.name': 'Omega-3-Fettsäuren',
+        'therapy.omega3.desc': 'EPA/DHA-Ergänzung hebt HDL leicht an',
+        'therapy.icosapent.name': 'Icosapent-Ethyl',
+        'therapy.icosapent.desc': 'REDUCE-IT: 25 % weniger kardiovaskuläre Ereignisse',
+        'therapy.weightLoss.name': 'Gewichtsabnahme',
+        'therapy.weightLoss.desc': '5–10 % Abnahme senken TG um 20 %',
+        'therapy.refinedCarbs.name': 'Weniger raffinierte Kohlenhydrate',
+        'therapy.refinedCarbs.desc': 'Zucker/Alkohol reduzieren, um TG zu senken',
+        'therapy.tirzepatide.name': 'Tirzepatid',
+        'therapy.tirzepatide.desc': '20 % Gewichtsabnahme in den SURMOUNT-Studien',
+        'therapy.caloricDeficit.name': 'Kaloriendefizit',
+        'therapy.caloricDeficit.desc': '500–750 kcal/Tag Defizit zur Gewichtsabnahme',
+        'therapy.bariatric.name': 'Bariatrische Chirurgie',
+        'therapy.bariatric.desc': 'Erwägen bei BMI >35 mit Begleiterkrankungen',
+        'projection.with': 'Prognose mit {therapies}',
+        'projection.note': 'Durchschnittliche Studieneffekte, als additiv angenommen; das individuelle Ansprechen variiert.',
+        'goal.title': 'Zielrisiko erreichen',
+        'goal.description': 'Kleinste Änderungen an Blutdruck, Taille, Glukose und Blutfetten, die das Risiko unter das Ziel bringen, in realistischen Grenzen.',
+        'goal.target': 'Ziel',
+        'goal.nextCategory': 'Nächstniedrigere Risikokategorie',
+        'goal.below': 'Unter {risk} %',
+        'goal.lowest': 'Bereits in der niedrigsten Risikokategorie.',
+        'goal.reached': 'Das Risiko liegt bereits unter dem Ziel.',
+        'goal.unavailable': 'Nicht verfügbar für Modelle ohne vorhergesagte Wahrscheinlichkeit.',
+        'goal.noChange': 'Keine Änderung innerhalb der Grenzen senkt das Risiko.',
+        'goal.unreachable': 'Unter {risk} % ist innerhalb der Änderungsgrenzen nicht erreichbar; dies ist der nächstbeste Plan.',
+        'goal.estimated': 'Beruht auf einem geschätzten Wert: {fields}. Vor der Planung bitte messen.',
+        'goal.note': 'Änderungen in realistischen Grenzen (z. B. Blutdruck −20 mmHg, Taille −10 cm); übrige Faktoren unverändert.',
+
+        // Batch scoring
+        'batch.title': 'Stapelberechnung',
+        'batch.description': 'Eine CSV-Datei mit Patienten (einer pro Zeile) mit dem gewählten Modell berechnen.',
+        'batch.upload': 'CSV hochladen',
+        'batch.run': 'Patienten berechnen',
+        'batch.loaded': '{file}: {rows} Patienten, {columns} Spalten',
+        'batch.error.empty': 'Die CSV-Datei ist leer',
+        'batch.notMapped': '— nicht zugeordnet —',
+        'batch.unitFor': 'Einheit für {field}',
+        'batch.columnFor': 'Spalte für {field}',
+        'batch.ofScored': 'von {total} berechnet',
+        'batch.flagged': 'markiert',
+        'batch.missing': '{field} fehlt',
+        'batch.implausible': '{field} unplausibel (nicht berechnet)',
+        'batch.outOfRange': '{field} außerhalb des Bereichs',
+        'batch.line': 'Zeile {line}: {issues}',
+        'batch.more': '… und {count} weitere (siehe Ergebnisdatei)',
+        'batch.download': 'Ergebnisse als CSV herunterladen',
+        'batch.distribution': 'Risikoverteilung',
+
+        // Contributions and what-if scenarios
+        'contributions.title': 'Beitrag der Risikofaktoren',
+        'contributions.description': 'Rote Balken erhöhen das Risiko, grün gestreifte Balken senken es. Details beim Überfahren oder Fokussieren einer Zeile.',
+        'contributions.protective': 'SCHÜTZEND',
+        'contributions.risk': 'RISIKO',
+        'contributions.increases': 'Erhöht das Risiko',
+        'contributions.decreases': 'Senkt das Risiko',
+        'contributions.neutral': 'Kein Einfluss',
+        'contributions.listLogOdds': 'Beitrag jedes Faktors in Log-Odds gegenüber einem durchschnittlichen Patienten',
+        'contributions.listPoints': 'Punkte jedes Faktors',
+        'contributions.absoluteScale': 'Absolute Log-Odds-Achse',
+        'detail.value': 'Wert',
+        'detail.points': 'Punkte',
+        'detail.mean': 'Kohortenmittel',
+        'detail.share': '{percent} % der Kohorte',
+        'detail.logOdds': 'Log-Odds',
+        'detail.oddsRatio': 'Odds Ratio ggü. Durchschnitt',
+        'detail.status': 'Grenzwert',
+        'threshold.normal': 'Normal (unter {threshold})',
+        'threshold.aboveLow': 'Normal (über {threshold})',
+        'threshold.elevated': 'Erhöht (ab {threshold})',
+        'threshold.high': 'Hoch (ab {threshold})',
+        'threshold.low': 'Niedrig (bis {threshold})',
+        'threshold.veryLow': 'Sehr niedrig (bis {threshold})',
+        'sensitivity.title': 'Sensitivitätsanalyse',
+        'sensitivity.description': 'Risiko, wenn sich ein Faktor ändert und die übrigen wie eingegeben bleiben. Gestrichelte Linien markieren klinische Grenzwerte, der Ring den Wert, ab dem die nächstniedrigere Risikokategorie erreicht wird. Faktoren mit der größten möglichen Senkung stehen oben.',
+        'sensitivity.target': '{category} bei {value}',
+        'sensitivity.unreachable': '{category} mit diesem Faktor allein nicht erreichbar',
+        'sensitivity.lowest': 'minimal {risk} %',
+        'sensitivity.fixed': 'nicht veränderbar',
+        'sensitivity.unavailable': 'Nicht verfügbar für Modelle ohne vorhergesagte Wahrscheinlichkeit.',
+        'sensitivity.chartLabel': 'Risiko über {field} von {min} bis {max}; aktuell {risk} %',
+        'scenario.compare': 'Ein Zielszenario mit den aktuellen Werten vergleichen',
+        'scenario.freeze': 'Ausgangswert festhalten',
+        'scenario.clear': 'Ausgangswert verwerfen',
+        'scenario.reset': 'Auf Ausgangswert zurücksetzen',
+        'scenario.baseline': 'Ausgangswert',
+        'scenario.target': 'Ziel',
+        'scenario.absReduction': 'Abs. Reduktion',
+        'scenario.relReduction': 'Rel. Reduktion',
+        'scenario.change': 'Änderung',
+        'scenario.hint': 'Beeinflussbare Faktoren (z. B. Taille, Blutdruck) anpassen, um ihre Wirkung zu sehen.',
+
+        // Risk history
+        'history.title': 'Risikoverlauf',
+        'history.visitDate': 'Datum des Besuchs',
+        'history.record': 'Besuch erfassen',
+        'history.noProfile': 'Ein Patientenprofil speichern, um Besuche im Zeitverlauf zu erfassen.',
+        'history.needTwo': 'Mindestens zwei Besuche erfassen, um den Verlauf zu sehen.',
+        'history.deleteVisit': 'Besuch löschen',
+        'history.confirmDeleteVisit': 'Diesen Besuch löschen?',
+        'history.chartLabel': 'Risiko im Zeitverlauf',
+        'history.noChange': 'Keine Änderung seit {date} ({summary}).',
+        'history.since': 'Seit {date}:',
+
+        // Patient view
+        'patient.title': 'Ihr Ergebnis erklärt',
+        'patient.frequency': 'Etwa {count} von {total} Menschen wie Ihnen erkranken innerhalb von {years} Jahren an Diabetes.',
+        'patient.frequencyUnder': 'Weniger als 1 von {total} Menschen wie Ihnen erkrankt innerhalb von {years} Jahren an Diabetes.',
+        'patient.affected': 'Erkrankt an Diabetes',
+        'patient.unaffected': 'Erkrankt nicht an Diabetes',
+        'patient.category': 'Risikogruppe: {category}',
+        'patient.screenPositive': 'Ihre Angaben deuten darauf hin, dass Sie bereits unbemerkt Diabetes haben könnten. Ein einfacher Bluttest schafft Klarheit.',
+        'patient.screenNegative': 'Ihre Angaben deuten derzeit nicht auf einen unerkannten Diabetes hin.',
+        'patient.factorsTitle': 'Was Ihr Risiko beeinflusst',
+        'patient.raises': '{factor} erhöht Ihr Risiko.',
+        'patient.helping': 'Zu Ihren Gunsten (besser als der Durchschnitt): {factors}.',
+        'patient.stepsTitle': 'Was Sie tun können',
+        'patient.keepGoing': 'Ihre Werte liegen im gesunden Bereich. Bleiben Sie bei Ihren gesunden Gewohnheiten und lassen Sie die Werte in einigen Jahren wieder prüfen.',
+        'patient.doctor': 'Sprechen Sie mit Ihrer Ärztin oder Ihrem Arzt über diese Werte: {factors}. Neben diesen Schritten können Medikamente oder weitere Untersuchungen nötig sein.',
+        'patient.note': 'Diese Schätzung beruht darauf, wie es vielen Menschen in Studien ergangen ist. Was bei Ihnen persönlich geschieht, kann sie nicht sicher vorhersagen.',
+        'patient.factor.age': 'Ihr Alter',
+        'patient.factor.race': 'Ihre ethnische Herkunft',
+        'patient.factor.parentHist': 'Diabetes bei einem Elternteil',
+        'patient.factor.relativeHist': 'Diabetes bei anderen Verwandten',
+        'patient.factor.sbp': 'Ihr Blutdruck',
+        'patient.factor.waist': 'Ihr Taillenumfang',
+        'patient.factor.height': 'Ihre Körpergröße',
+        'patient.factor.fastGlu': 'Ihr Blutzucker',
+        'patient.factor.cholHDL': 'Ihr gutes Cholesterin (HDL)',
+        'patient.factor.cholTri': 'Ihr Triglyzeridwert (ein Blutfett)',
+        'patient.factor.bmi': 'Ihr Körpergewicht',
+        'patient.factor.sex': 'das männliche Geschlecht',
+        'patient.factor.gestDiab': 'Diabetes in einer Schwangerschaft',
+        'patient.factor.hypertension': 'Bluthochdruck',
+        'patient.factor.bpMeds': 'die Einnahme von Blutdruckmedikamenten',
+        'patient.factor.highGluHist': 'ein früher gemessener hoher Blutzucker',
+        'patient.factor.physActivity': 'zu wenig Bewegung',
+        'patient.factor.vegFruit': 'ein Mangel an Gemüse und Obst',
+        'patient.why.age': 'Die Wahrscheinlichkeit für Diabetes steigt mit dem Alter.',
+        'patient.why.race': 'In manchen ethnischen Gruppen ist Diabetes häufiger.',
+        'patient.why.parentHist': 'Diabetes liegt in der Familie, teils durch die Gene, teils durch gemeinsame Gewohnheiten.',
+        'patient.why.relativeHist': 'Diabetes bei nahen Verwandten macht ihn auch für Sie wahrscheinlicher.',
+        'patient.why.sbp': 'Höherer Blutdruck geht oft damit einher, dass der Körper Zucker schlechter verarbeitet.',
+        'patient.why.waist': 'Bauchfett lässt den Körper schlechter auf Insulin ansprechen, das Hormon, das den Blutzucker senkt.',
+        'patient.why.height': 'Bei gleichem Taillenumfang haben kleinere Menschen ein etwas höheres Risiko.',
+        'patient.why.fastGlu': 'Ihr Blutzucker ist höher als ideal, ein frühes Zeichen, dass der Körper Mühe hat, ihn im Griff zu behalten.',
+        'patient.why.cholHDL': 'Wenig gutes Cholesterin geht oft damit einher, dass der Körper schlechter auf Insulin anspricht.',
+        'patient.why.cholTri': 'Hohe Blutfette gehen oft damit einher, dass der Körper schlechter auf Insulin anspricht.',
+        'patient.why.bmi': 'Übergewicht lässt den Körper schlechter auf Insulin ansprechen.',
+        'patient.why.sex': 'Männer erkranken etwas häufiger an Typ-2-Diabetes als Frauen.',
+        'patient.why.gestDiab': 'Frauen, die in einer Schwangerschaft Diabetes hatten, erkranken später häufiger erneut.',
+        'patient.why.hypertension': 'Bluthochdruck geht oft damit einher, dass der Körper Zucker schlechter verarbeitet.',
+        'patient.why.bpMeds': 'Blutdruckmedikamente weisen auf Bluthochdruck hin, der oft mit Diabetes einhergeht.',
+        'patient.why.highGluHist': 'Ein hoher Wert in der Vergangenheit zeigt, dass der Körper schon einmal Mühe mit dem Zucker hatte.',
+        'patient.why.physActivity': 'Muskeln, die regelmäßig arbeiten, holen Zucker aus dem Blut.',
+        'patient.why.vegFruit': 'Täglich Gemüse und Obst helfen, Gewicht und Blutzucker im Griff zu behalten.',
+        'patient.tip.lifestyle': 'Nehmen Sie an einem Diabetes-Präventionsprogramm teil: Ziel sind etwa 7 % weniger Gewicht und 150 Minuten Bewegung pro Woche.',
+        'patient.tip.dash': 'Essen Sie reichlich Gemüse, Obst, Vollkorn und fettarme Milchprodukte, dafür weniger fettes Fleisch und Süßes.',
+        'patient.tip.sodium': 'Sparen Sie Salz: frisch kochen und auf Salz in Brot, Käse und Fertiggerichten achten.',
+        'patient.tip.aerobic': 'Bewegen Sie sich mindestens 150 Minuten pro Woche, zum Beispiel durch zügiges Gehen, Radfahren oder Schwimmen.',
+        'patient.tip.smoking': 'Wenn Sie rauchen, hören Sie auf. Ihre Arztpraxis oder Apotheke unterstützt Sie dabei.',
+        'patient.tip.weightLoss': 'Schon 5–10 % weniger Gewicht senken die Blutfette und entlasten den Körper.',
+        'patient.tip.refinedCarbs': 'Essen Sie weniger Zucker und Weißbrot und trinken Sie weniger süße Getränke und Alkohol.',
+        'patient.tip.caloricDeficit': 'Essen Sie jeden Tag etwas weniger (etwa 500 kcal) für eine langsame, dauerhafte Gewichtsabnahme.',
+
+        // Printable report
+        'report.title': 'Diabetes-Risikobericht',
+        'report.risk': 'Diabetesrisiko',
+        'report.contributions': 'Beitrag der Risikofaktoren',
+        'report.treatments': 'Indizierte Behandlungen',
+        'report.guideline': 'Kategorien, Grenzwerte und Behandlungen: {name}, Version {version} ({date}).',
+        'report.disclaimer': 'Diese Schätzung unterstützt das ärztliche Urteil, ersetzt es aber nicht.'
+    };
+});
@@ -0,0 +1,413 @@
+/**
+ * English message catalog (default locale).
+ * Loads as a classic <script> after i18n.js (registers with window.DiabetesI18n)
+ * or via require(), which returns the messages.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DiabetesI18n.registerCatalog('en', factory());
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    return {
+        'language.name': 'English',
+
+        // Page
+        'app.title': 'Diabetes Risk Calculator',
+        'header.report': 'Generate report',
+        'header.language': 'Language',
+        'header.patientView': 'Patient view',
+        'panel.patientData': 'Patient Data',
+        'panel.shareLink': 'Copy link to this scenario',
+
+        // Common values and units
+        'common.yes': 'Yes',
+        'common.no': 'No',
+        'common.male': 'Male',
+        'common.female': 'Female',
+        'common.black': 'Black',
+        'common.other': 'Other',
+        'unit.years': 'years',
+        'format.points': '{value} pts',
+        'format.pointsLong': '{value} points',
+        'format.pp': '{value} pp',
+        'format.ppLong': '{value} percentage points',
+
+        // Chart and report labels per model input
+        'label.age': 'Age',
+        'label.race': 'Race',
+        'label.ethnicity': 'Ethnicity',
+        'label.parentHist': 'Parental Diabetes History',
+        'label.sbp': 'Blood Pressure',
+        'label.waist': 'Waist Size',
+        'label.height': 'Height',
+        'label.fastGlu': 'Glucose',
+        'label.cholHDL': 'Good Cholesterol (HDL)',
+        'label.cholTri': 'Triglycerides',
+        'label.sex': 'Sex',
+        'label.bmi': 'Body Mass Index',
+        'label.relativeHist': 'Other Relatives with Diabetes',
+        'label.gestDiab': 'Gestational Diabetes',
+        'label.hypertension': 'Hypertension',
+        'label.bpMeds': 'BP Medication',
+        'label.highGluHist': 'History of High Glucose',
+        'label.physActivity': 'Physical Activity',
+        'label.vegFruit': 'Vegetables & Fruit',
+        'label.hba1c': 'HbA1c',
+        'label.weight': 'Weight',
+
+        // Input panel
+        'profile.label': 'Patient Profile',
+        'profile.unsaved': 'Unsaved patient',
+        'profile.save': 'Save profile',
+        'profile.duplicate': 'Duplicate profile',
+        'profile.delete': 'Delete profile',
+        'profile.promptName': 'Profile name:',
+        'profile.promptCopy': 'Name for the copy:',
+        'profile.copyName': '{name} (copy)',
+        'profile.confirmDelete': 'Delete profile "{name}"?',
+        'fhir.label': 'FHIR Record',
+        'fhir.importFile': 'Import FHIR Bundle (JSON file)',
+        'fhir.paste': 'Paste FHIR Bundle',
+        'fhir.export': 'Export as FHIR RiskAssessment',
+        'fhir.placeholder': 'Paste a FHIR R4 Bundle (JSON)',
+        'fhir.import': 'Import',
+        'fhir.readError': 'Could not read {file}',
+        'fhir.invalidJson': 'Invalid JSON',
+        'fhir.noObservations': 'No supported observations found',
+        'fhir.imported': 'Imported {fields}',
+        'fhir.notImported': 'Not in the Bundle, please enter: {fields}',
+        'fhir.error.notBundle': 'Expected a FHIR Bundle resource',
+        'fhir.warning.noPatient': 'No Patient resource: age and sex were not imported',
+        'fhir.warning.unsupportedUnit': 'Skipped LOINC {code}: unsupported unit "{unit}"',
+        'fhir.warning.otherSubject': 'Skipped {count} observation(s) of another subject ({reference})',
+        'fhir.noUnit': 'none',
+        'units.label': 'Units',
+        'units.select': 'Unit',
+        'units.siToggle': 'SI units for all measurements',
+        'model.label': 'Risk Model',
+        'guideline.label': 'Guideline',
+        'guideline.version': 'Version {version} of {date}; hover for sources',
+        'guideline.categoryModels': 'Its risk categories are for {models}; this model uses the default ones',
+        'section.demographics': 'Demographics',
+        'section.body': 'Body Measurements',
+        'section.bloodPressure': 'Blood Pressure',
+        'section.bloodWork': 'Blood Work',
+        'section.history': 'History & Lifestyle',
+        'input.age': 'Age',
+        'input.sex': 'Sex',
+        'input.ethnicity': 'Ethnicity',
+        'input.parentHist': 'Parental Diabetes History',
+        'input.relativeHist': 'Other Relatives with Diabetes',
+        'input.gestDiab': 'History of Gestational Diabetes',
+        'input.height': 'Height',
+        'input.waist': 'Waist Circumference',
+        'input.bmi': 'Body Mass Index (BMI)',
+        'input.weight': 'Weight',
+        'input.sbp': 'Systolic Blood Pressure (SBP)',
+        'input.fastGlu': 'Fasting Glucose',
+        'input.cholHDL': 'HDL Cholesterol (Good)',
+        'input.cholTri': 'Triglycerides',
+        'input.hba1c': 'HbA1c',
+        'input.hypertension': 'Diagnosed Hypertension',
+        'input.bpMeds': 'Antihypertensive Medication',
+        'input.highGluHist': 'History of High Blood Glucose',
+        'input.physActivity': 'Physically Active (≥30 min/day)',
+        'input.vegFruit': 'Daily Vegetables, Fruit or Berries',
+        'input.optional': 'optional',
+        'input.hba1cHint': 'Optional: shows the average glucose; not used for the risk, which needs fasting glucose',
+        'input.weightHint': 'Optional: with height, estimates a missing BMI',
+        'waistHint.text': 'Measure the waist to calculate the risk. For orientation, BMI {bmi} goes with a waist of {range} (Lean et al., BMJ 1995).',
+        'waistHint.below': 'under {max} {unit}',
+        'waistHint.between': '{min}–{max} {unit}',
+        'waistHint.above': '{min} {unit} or more',
+        'hba1c.average': 'Average glucose ≈ {glucose} {unit} (ADAG)',
+        'hba1c.normal': 'below the prediabetes range',
+        'hba1c.elevated': 'prediabetes range',
+        'hba1c.high': 'diabetes range',
+        'band.normal': 'Normal',
+        'band.overweight': 'Overweight',
+        'band.obese': 'Obese',
+        'band.stage1': 'Stage 1',
+        'band.stage2': 'Stage 2',
+        'band.prediabetes': 'Pre-Diabetes',
+        'band.diabetes': 'Diabetes',
+        'band.low': 'Low',
+        'band.borderline': 'Borderline',
+        'band.good': 'Good',
+
+        // Ethnicity options (ids of CONFIG.ETHNICITIES)
+        'ethnicity.white': 'White / Europid',
+        'ethnicity.black': 'Black / African American',
+        'ethnicity.african': 'Sub-Saharan African',
+        'ethnicity.south-asian': 'South Asian',
+        'ethnicity.east-asian': 'East Asian',
+        'ethnicity.hispanic': 'Hispanic / Latino',
+        'ethnicity.middle-eastern': 'Middle Eastern / North African',
+        'ethnicity.other': 'Other / Mixed',
+
+        // Validation
+        'issue.missing': 'Required: enter a value',
+        'issue.population': 'Not represented in the {model} derivation cohort; interpret with caution',
+        'issue.implausible': 'Implausible value (expected {range})',
+        'issue.extrapolated': 'Outside the model\'s range ({range}); risk is extrapolated',
+        'issue.waistHeight': 'Waist-to-height ratio of {ratio} is implausible; check both values',
+        'issue.hdlAboveTri': 'HDL above triglycerides is unusual; check both values',
+        'validation.extrapolated': 'Extrapolated: {fields} outside the model\'s derivation cohort',
+        'validation.checkInputs': 'Check highlighted inputs',
+        'validation.notCalculated': 'Risk not calculated: correct the highlighted inputs.',
+        'imputation.badge': 'Estimated: {fields}',
+        'imputation.from': '{field} from {sources}',
+        'imputation.estimated': 'estimated',
+
+        // Risk display
+        'risk.title': '{years}-Year Diabetes Risk',
+        'risk.screeningTitle': 'Diabetes Screening Score',
+        'risk.outOf': ' / {max} pts',
+        'risk.modelPoints': '{points} / {max} points',
+        'category.low': 'Low Risk',
+        'category.moderate': 'Moderate Risk',
+        'category.high': 'High Risk',
+        'category.very-high': 'Very High Risk',
+        'category.screenPositive': 'High Risk – Testing Recommended',
+
+        // Models (registry ids); unlisted models show their own name and outcome
+        'model.aric-clinical.name': 'ARIC Clinical Model',
+        'model.aric-clinical.outcome': 'Incident type 2 diabetes',
+        'model.aric-basic.name': 'ARIC Basic Model (no labs)',
+        'model.aric-basic.outcome': 'Incident type 2 diabetes',
+        'model.findrisc.name': 'FINDRISC',
+        'model.findrisc.outcome': 'Drug-treated type 2 diabetes',
+        'model.ada.name': 'ADA Risk Test',
+        'model.ada.outcome': 'Undiagnosed type 2 diabetes (screening)',
+        'model.framingham.name': 'Framingham Offspring Simple Score',
+        'model.framingham.outcome': 'Incident type 2 diabetes',
+
+        // Treatment recommendations
+        'treatments.title': 'Treatment Recommendations',
+        'treatments.indicated': 'Indicated Treatments Based on Your Values',
+        'treatments.simulateHint': 'Tick therapies to simulate their projected effect on the risk.',
+        'treatments.simulate': 'Simulate this therapy',
+        'treatments.allNormal': 'All modifiable risk factors are within normal range. Continue maintaining a healthy lifestyle.',
+        'treatments.alsoActsOn': 'Also acts on: {factors}',
+        'treatments.metabolicSyndrome': '{count} of the {total} metabolic syndrome criteria are met. Treat them as one condition and prefer therapies that act on several factors.',
+        'treatments.combinedHigh': '{factors} are all at the higher severity level. Start treating them together rather than one after another, and recheck within 3 months.',
+        'severity.elevated': 'Elevated',
+        'severity.high': 'High',
+        'severity.low': 'Low',
+        'severity.veryLow': 'Very low',
+        'escalation.fastGlu': 'Fasting glucose in the diabetes range: confirm with a repeat test or HbA1c and work up for diabetes rather than prevention alone.',
+        'escalation.sbp': 'Stage 2 hypertension: confirm with out-of-office readings and start drug therapy alongside lifestyle changes.',
+        'escalation.cholHDL': 'Very low HDL: look for secondary causes (smoking, inactivity, high triglycerides, insulin resistance) and check the full lipid profile.',
+        'escalation.cholTri': 'High triglycerides: rule out secondary causes (alcohol, uncontrolled glucose, medication) and assess overall cardiovascular risk for drug therapy.',
+        'escalation.waist': 'Abdominal obesity: check BMI and comorbidities; consider medication or surgery when lifestyle changes are not enough.',
+        'heatmap.riskAxis': 'Risk %',
+        'heatmap.glucoseAxis': 'Fasting Glucose',
+        'heatmap.label': 'Treatment zones by risk and fasting glucose',
+        'heatmap.position': 'Treatment zones by risk and fasting glucose. Current position: glucose {glucose}, risk {risk}%, zone: {zone}',
+        'heatmap.zone1': 'Low risk\nMaintain healthy lifestyle',
+        'heatmap.zone2': 'Lifestyle modifications recommended',
+        'heatmap.zone3': 'Consider Metformin + lifestyle changes',
+        'heatmap.zone4': 'High glucose\nMedical evaluation needed',
+        'heatmap.zone5': 'High risk\nGLP-1 agonists or SGLT2 inhibitors may be indicated + Metformin and lifestyle changes',
+        'treatment.fastGlu': 'Glucose Management',
+        'treatment.sbp': 'Blood Pressure Control',
+        'treatment.cholHDL': 'HDL Cholesterol Improvement',
+        'treatment.cholTri': 'Triglyceride Reduction',
+        'treatment.waist': 'Central Obesity Management',
+        'therapy.lifestyle.name': 'Intensive Lifestyle Program',
+        'therapy.lifestyle.desc': '7% weight loss and 150 min/week activity cut progression to diabetes by 58%',
+        'therapy.metformin.name': 'Metformin',
+        'therapy.metformin.desc': 'First-line for elevated glucose (HbA1c ≥6.5%)',
+        'therapy.glp1.name': 'GLP-1 RA',
+        'therapy.glp1.desc': 'Semaglutide/Tirzepatide for glycemic control + weight loss',
+        'therapy.sglt2.name': 'SGLT2i',
+        'therapy.sglt2.desc': 'Empagliflozin reduces glucose via urinary excretion',
+        'therapy.aceArb.name': 'ACE-I/ARB',
+        'therapy.aceArb.desc': 'First-line for diabetes + hypertension',
+        'therapy.dash.name': 'DASH Diet',
+        'therapy.dash.desc': 'Dietary Approaches to Stop Hypertension',
+        'therapy.sodium.name': 'Sodium Reduction',
+        'therapy.sodium.desc': 'Target <2300mg/day sodium intake',
+        'therapy.aerobic.name': 'Aerobic Exercise',
+        'therapy.aerobic.desc': '150 min/week increases HDL 5-10%',
+        'therapy.smoking.name': 'Smoking Cessation',
+        'therapy.smoking.desc': 'Raises HDL by 5-10% within weeks',
+        'therapy.omega3.name': 'Omega-3 Fatty Acids',
+        'therapy.omega3.desc': 'EPA/DHA supplementation modestly raises HDL',
+        'therapy.icosapent.name': 'Icosapent Ethyl',
+        'therapy.icosapent.desc': 'REDUCE-IT: 25% CV risk reduction',
+        'therapy.weightLoss.name': 'Weight Loss',
+        'therapy.weightLoss.desc': '5-10% loss reduces TG by 20%',
+        'therapy.refinedCarbs.name': 'Limit Refined Carbs',
+        'therapy.refinedCarbs.desc': 'Reduce sugar/alcohol to lower TG',
+        'therapy.tirzepatide.name': 'Tirzepatide',
+        'therapy.tirzepatide.desc': '20% weight loss in SURMOUNT trials',
+        'therapy.caloricDeficit.name': 'Caloric Deficit',
+        'therapy.caloricDeficit.desc': '500-750 kcal/day deficit for weight loss',
+        'therapy.bariatric.name': 'Bariatric Surgery',
+        'therapy.bariatric.desc': 'Consider if BMI >35 with comorbidities',
+        'projection.with': 'Projected with {therapies}',
+        'projection.note': 'Average trial effects, assumed additive; individual response varies.',
+        'goal.title': 'Reach a Target Risk',
+        'goal.description': 'Smallest changes to blood pressure, waist, glucose and lipids that bring the risk under the target, within realistic limits.',
+        'goal.target': 'Target',
+        'goal.nextCategory': 'Next lower risk category',
+        'goal.below': 'Below {risk}%',
+        'goal.lowest': 'Already in the lowest risk category.',
+        'goal.reached': 'The risk is already below the target.',
+        'goal.unavailable': 'Not available for models without a predicted probability.',
+        'goal.noChange': 'No change within the limits lowers the risk.',
+        'goal.unreachable': 'Below {risk}% is not reachable within the change limits; this is the closest plan.',
+        'goal.estimated': 'Starts from an estimated value: {fields}. Measure it before planning the change.',
+        'goal.note': 'Changes held to realistic limits (e.g. blood pressure −20 mmHg, waist −10 cm); other factors unchanged.',
+
+        // Batch scoring
+        'batch.title': 'Batch Scoring',
+        'batch.description': 'Score a CSV of patients (one per row) with the selected model.',
+        'batch.upload': 'Upload CSV',
+        'batch.run': 'Score patients',
+        'batch.loaded': '{file}: {rows} patients, {columns} columns',
+        'batch.error.empty': 'The CSV file is empty',
+        'batch.notMapped': '— not mapped —',
+        'batch.unitFor': '{field} unit',
+        'batch.columnFor': '{field} column',
+        'batch.ofScored': 'of {total} scored',
+        'batch.flagged': 'flagged',
+        'batch.missing': '{field} missing',
+        'batch.implausible': '{field} implausible (not scored)',
+        'batch.outOfRange': '{field} out of range',
+        'batch.line': 'Line {line}: {issues}',
+        'batch.more': '… and {count} more (see results file)',
+        'batch.download': 'Download results CSV',
+        'batch.distribution': 'Risk distribution',
+
+        // Contributions and what-if scenarios
+        'contributions.title': 'Risk Factor Contributions',
+        'contributions.description': 'Red bars increase risk, green striped bars decrease risk. Hover over or focus a row for details.',
+        'contributions.protective': 'PROTECTIVE',
+        'contributions.risk': 'RISK',
+        'contributions.increases': 'Increases Risk',
+        'contributions.decreases': 'Decreases Risk',
+        'contributions.neutral': 'No effect',
+        'contributions.listLogOdds': 'Contribution of each factor in log-odds relative to an average patient',
+        'contributions.listPoints': 'Points of each factor',
+        'contributions.absoluteScale': 'Absolute log-odds axis',
+        'detail.value': 'Value',
+        'detail.points': 'Points',
+        'detail.mean': 'Cohort mean',
+        'detail.share': '{percent}% of the cohort',
+        'detail.logOdds': 'Log-odds',
+        'detail.oddsRatio': 'Odds ratio vs. average',
+        'detail.status': 'Threshold',
+        'threshold.normal': 'Normal (below {threshold})',
+        'threshold.aboveLow': 'Normal (above {threshold})',
+        'threshold.elevated': 'Elevated (from {threshold})',
+        'threshold.high': 'High (from {threshold})',
+        'threshold.low': 'Low (at or below {threshold})',
+        'threshold.veryLow': 'Very low (at or below {threshold})',
+        'sensitivity.title': 'Sensitivity Analysis',
+        'sensitivity.description': 'Risk as one factor changes while the others stay as entered. Dashed lines mark clinical thresholds, the ring the value that reaches the next lower risk category. Factors with the largest possible reduction come first.',
+        'sensitivity.target': '{category} at {value}',
+        'sensitivity.unreachable': '{category} not reachable with this factor alone',
+        'sensitivity.lowest': 'lowest {risk}%',
+        'sensitivity.fixed': 'not modifiable',
+        'sensitivity.unavailable': 'Not available for models without a predicted probability.',
+        'sensitivity.chartLabel': 'Risk across {field} from {min} to {max}; currently {risk}%',
+        'scenario.compare': 'Compare a target scenario against the current values',
+        'scenario.freeze': 'Freeze baseline',
+        'scenario.clear': 'Clear baseline',
+        'scenario.reset': 'Reset to baseline',
+        'scenario.baseline': 'Baseline',
+        'scenario.target': 'Target',
+        'scenario.absReduction': 'Abs. reduction',
+        'scenario.relReduction': 'Rel. reduction',
+        'scenario.change': 'Change',
+        'scenario.hint': 'Adjust modifiable factors (e.g. waist, blood pressure) to see their effect.',
+
+        // Risk history
+        'history.title': 'Risk History',
+        'history.visitDate': 'Visit date',
+        'history.record': 'Record visit',
+        'history.noProfile': 'Save a patient profile to record visits over time.',
+        'history.needTwo': 'Record at least two visits to see the trend.',
+        'history.deleteVisit': 'Delete visit',
+        'history.confirmDeleteVisit': 'Delete this visit?',
+        'history.chartLabel': 'Risk over time',
+        'history.noChange': 'No change since {date} ({summary}).',
+        'history.since': 'Since {date}:',
+
+        // Patient view
+        'patient.title': 'Your Result Explained',
+        'patient.frequency': 'About {count} out of {total} people like you will develop diabetes within {years} years.',
+        'patient.frequencyUnder': 'Fewer than 1 out of {total} people like you will develop diabetes within {years} years.',
+        'patient.affected': 'Will develop diabetes',
+        'patient.unaffected': 'Will not develop diabetes',
+        'patient.category': 'Risk group: {category}',
+        'patient.screenPositive': 'Your answers suggest you could already have diabetes without knowing it. A simple blood test can tell.',
+        'patient.screenNegative': 'Your answers do not point to undiagnosed diabetes at the moment.',
+        'patient.factorsTitle': 'What affects your risk',
+        'patient.raises': '{factor} raises your risk.',
+        'patient.helping': 'Working in your favour (better than average): {factors}.',
+        'patient.stepsTitle': 'What you can do',
+        'patient.keepGoing': 'Your values are in the healthy range. Keep up your healthy habits and have them checked again in a few years.',
+        'patient.doctor': 'Talk to your doctor about {factors}: besides these steps, medicine or further tests may be needed.',
+        'patient.note': 'This estimate comes from what happened to many people in research studies. It cannot say for certain what will happen to you.',
+        'patient.factor.age': 'your age',
+        'patient.factor.race': 'your ethnic background',
+        'patient.factor.parentHist': 'diabetes in a parent',
+        'patient.factor.relativeHist': 'diabetes in other relatives',
+        'patient.factor.sbp': 'your blood pressure',
+        'patient.factor.waist': 'your waist size',
+        'patient.factor.height': 'your height',
+        'patient.factor.fastGlu': 'your blood sugar',
+        'patient.factor.cholHDL': 'your good cholesterol (HDL)',
+        'patient.factor.cholTri': 'your triglyceride level (a blood fat)',
+        'patient.factor.bmi': 'your body weight',
+        'patient.factor.sex': 'being a man',
+        'patient.factor.gestDiab': 'diabetes during a pregnancy',
+        'patient.factor.hypertension': 'high blood pressure',
+        'patient.factor.bpMeds': 'taking blood pressure medicine',
+        'patient.factor.highGluHist': 'high blood sugar found in the past',
+        'patient.factor.physActivity': 'too little physical activity',
+        'patient.factor.vegFruit': 'eating vegetables and fruit less than daily',
+        'patient.why.age': 'The chance of diabetes grows as we get older.',
+        'patient.why.race': 'Diabetes is more common in some ethnic groups.',
+        'patient.why.parentHist': 'Diabetes runs in families, partly through genes and partly through shared habits.',
+        'patient.why.relativeHist': 'Diabetes in close relatives makes it more likely for you too.',
+        'patient.why.sbp': 'Higher blood pressure often goes together with the body handling sugar less well.',
+        'patient.why.waist': 'Fat around the belly makes the body respond less well to insulin, the hormone that lowers blood sugar.',
+        'patient.why.height': 'At the same waist size, shorter people tend to have a somewhat higher risk.',
+        'patient.why.fastGlu': 'Your blood sugar is higher than ideal, an early sign that the body is struggling to keep it in check.',
+        'patient.why.cholHDL': 'Low good cholesterol often comes with the body responding less well to insulin.',
+        'patient.why.cholTri': 'High blood fats often come with the body responding less well to insulin.',
+        'patient.why.bmi': 'Extra body weight makes the body respond less well to insulin.',
+        'patient.why.sex': 'Men develop type 2 diabetes somewhat more often than women.',
+        'patient.why.gestDiab': 'Women who had diabetes during a pregnancy are more likely to develop it again later.',
+        'patient.why.hypertension': 'High blood pressure often goes together with the body handling sugar less well.',
+        'patient.why.bpMeds': 'Needing blood pressure medicine points to high blood pressure, which often comes with diabetes.',
+        'patient.why.highGluHist': 'A high reading before shows the body has already struggled with sugar.',
+        'patient.why.physActivity': 'Muscles that are used regularly take sugar out of the blood.',
+        'patient.why.vegFruit': 'Vegetables and fruit every day help to keep weight and blood sugar in check.',
+        'patient.tip.lifestyle': 'Join a diabetes prevention program: aim to lose about 7% of your weight and to be active 150 minutes a week.',
+        'patient.tip.dash': 'Eat plenty of vegetables, fruit, whole grains and low-fat dairy, and less fatty meat and sweets.',
+        'patient.tip.sodium': 'Use less salt: cook fresh and look out for salt in bread, cheese and ready meals.',
+        'patient.tip.aerobic': 'Be active for at least 150 minutes a week, for example brisk walking, cycling or swimming.',
+        'patient.tip.smoking': 'If you smoke, stop. Your doctor or pharmacy can help.',
+        'patient.tip.weightLoss': 'Losing 5–10% of your weight lowers your blood fats and takes strain off your body.',
+        'patient.tip.refinedCarbs': 'Cut down on sugar, white bread, sweet drinks and alcohol.',
+        'patient.tip.caloricDeficit': 'Eat a little less each day (about 500 kcal) for slow and lasting weight loss.',
+
+        // Printable report
+        'report.title': 'Diabetes Risk Report',
+        'report.risk': 'Diabetes Risk',
+        'report.contributions': 'Risk Factor Contributions',
+        'report.treatments': 'Indicated Treatments',
+        'report.guideline': 'Categories, thresholds and treatments: {name}, version {version} ({date}).',
+        'report.disclaimer': 'This estimate supports, but does not replace, clinical judgement.'
+    };
+});
@@ -0,0 +1,116 @@
+/**
+ * Patient Profile Store
+ * Named patient profiles (raw inputs, unit system, model, computed risk,
+ * timestamps and dated visits) persisted as JSON in a Web Storage-like object.
+ * Loads as a classic <script> (window.DiabetesProfileStore) or via require().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DiabetesProfileStore = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    const STORAGE_KEY = 'diabetes-calculator.profiles';
+
+    function newId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+
+    /**
+     * Creates a store over `storage` (anything with getItem/setItem, e.g.
+     * window.localStorage). Profiles have the shape
+     * { id, name, inputs, units, model, risk, createdAt, updatedAt, visits }
+     * where visits are { id, date: 'YYYY-MM-DD', inputs, units } sorted by date
+     * and `units` is 'us', 'si' or { field: unit id } (see DiabetesRiskEngine.getUnit).
+     */
+    function createProfileStore(storage, key) {
+        key = key || STORAGE_KEY;
+
+        function readAll() {
+            try {
+                return JSON.parse(storage.getItem(key)) || [];
+            } catch (e) {
+                // Unavailable storage or corrupted data: start empty
+                return [];
+            }
+        }
+
+        function writeAll(profiles) {
+            storage.setItem(key, JSON.stringify(profiles));
+        }
+
+        function list() {
+            return readAll().sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        function get(id) {
+            return readAll().find(profile => profile.id === id) || null;
+        }
+
+        // Inserts a new profile, or updates the one with the same id
+        function save(profile) {
+            if (!profile || !profile.name) throw new Error('Profile requires a name');
+
+            const profiles = readAll();
+            const now = new Date().toISOString();
+            const existing = profile.id && profiles.find(p => p.id === profile.id);
+
+            let stored;
+            if (existing) {
+                stored = Object.assign(existing, profile, { updatedAt: now });
+            } else {
+                stored = { ...profile, id: newId(), createdAt: now, updatedAt: now };
+                profiles.push(stored);
+            }
+            writeAll(profiles);
+            return stored;
+        }
+
+        function duplicate(id, name) {
+            const source = get(id);
+            if (!source) throw new Error(`Unknown profile "${id}"`);
+
+            const copy = JSON.parse(JSON.stringify(source));
+            delete copy.id;
+            copy.name = name || `${source.name} (copy)`;
+            return save(copy);
+        }
+
+        function remove(id) {
+            const profiles = readAll();
+            const remaining = profiles.filter(profile => profile.id !== id);
+            writeAll(remaining);
+            return remaining.length !== profiles.length;
+        }
+
+        // Records a dated measurement set for longitudinal tracking
+        function addVisit(id, visit) {
+            const profile = get(id);
+            if (!profile) throw new Error(`Unknown profile "${id}"`);
+            if (!visit || !visit.date) throw new Error('Visit requires a date');
+
+            const visits = (profile.visits || []).concat({ ...visit, id: newId() });
+            visits.sort((a, b) => a.date.localeCompare(b.date));
+            return save({ ...profile, visits });
+        }
+
+        function removeVisit(id, visitId) {
+            const profile = get(id);
+            if (!profile) throw new Error(`Unknown profile "${id}"`);
+
+            const visits = (profile.visits || []).filter(visit => visit.id !== visitId);
+            return save({ ...profile, visits });
+        }
+
+        return { list, get, save, duplicate, remove, addVisit, removeVisit };
+    }
+
+    return {
+        STORAGE_KEY,
+        createProfileStore
+    };
+});
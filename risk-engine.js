@@ -0,0 +1,554 @@
+/**
+ * Diabetes Risk Engine
+ * DOM-free scoring of the diabetes risk models registered in risk-models.js
+ * (default: Schmidt et al. 2005, ARIC Study).
+ * Loads as a classic <script> (window.DiabetesRiskEngine) or via require().
+ * For ES module consumers see risk-engine.mjs.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./risk-models.js'));
+    } else {
+        root.DiabetesRiskEngine = factory(root.DiabetesRiskModels);
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (Models) {
+    'use strict';
+
+    // ============================================
+    // 1. MODEL CONSTANTS
+    // ============================================
+
+    const DEFAULT_MODEL = Models.getModel(Models.DEFAULT_MODEL);
+
+    // Coefficients and means of the default (Schmidt 2005 clinical) model
+    const BETAS = DEFAULT_MODEL.betas;
+    const MEANS = DEFAULT_MODEL.means;
+
+    // Unit Conversions (US -> SI multipliers)
+    const CONVERSIONS = {
+        heightToCm: 2.54,
+        waistToCm: 2.54,
+        gluToMmol: 1 / 18,
+        hdlToMmol: 1 / 38.67,
+        triToMmol: 1 / 88.57
+    };
+
+    // Units of each converted input field, SI unit first.
+    // SI value = value * factor + (offset || 0); `system` marks the unit the
+    // 'us' / 'si' presets pick, `aliases` other spellings found in CSV headers.
+    // Adding an entry makes a unit available everywhere.
+    const UNITS = {
+        height: [
+            { id: 'cm', factor: 1, system: 'si' },
+            { id: 'in', factor: CONVERSIONS.heightToCm, system: 'us', aliases: ['inch', 'inches'] }
+        ],
+        waist: [
+            { id: 'cm', factor: 1, system: 'si' },
+            { id: 'in', factor: CONVERSIONS.waistToCm, system: 'us', aliases: ['inch', 'inches'] }
+        ],
+        fastGlu: [
+            { id: 'mmol/L', factor: 1, system: 'si', aliases: ['mmol'] },
+            { id: 'mg/dL', factor: CONVERSIONS.gluToMmol, system: 'us' }
+        ],
+        cholHDL: [
+            { id: 'mmol/L', factor: 1, system: 'si', aliases: ['mmol'] },
+            { id: 'mg/dL', factor: CONVERSIONS.hdlToMmol, system: 'us' }
+        ],
+        cholTri: [
+            { id: 'mmol/L', factor: 1, system: 'si', aliases: ['mmol'] },
+            { id: 'mg/dL', factor: CONVERSIONS.triToMmol, system: 'us' }
+        ],
+        // Optional inputs outside the models: weight for the BMI (see ESTIMATES),
+        // HbA1c for its average glucose. % (NGSP) -> mmol/mol (IFCC) by the master
+        // equation (Hoelzel W et al. Clin Chem 2004;50:166-174).
+        hba1c: [
+            { id: 'mmol/mol', factor: 1, system: 'si' },
+            { id: '%', factor: 10.929, offset: -2.15 * 10.929, system: 'us' }
+        ],
+        weight: [
+            { id: 'kg', factor: 1, system: 'si' },
+            { id: 'lb', factor: 0.45359237, system: 'us', aliases: ['lbs'] }
+        ]
+    };
+
+    // US -> SI multiplier per input field converted by a plain factor
+    const SI_FACTORS = {};
+    Object.keys(UNITS).forEach(field => {
+        const us = UNITS[field].find(unit => unit.system === 'us');
+        if (!us.offset) SI_FACTORS[field] = us.factor;
+    });
+
+    const FACTORS = DEFAULT_MODEL.inputs;
+
+    // ============================================
+    // 2. UNIT NORMALIZATION
+    // ============================================
+
+    /**
+     * Unit of `field` selected by `units`: 'us' or 'si' for every field, or
+     * { field: unit id or 'us' / 'si' } per field. Defaults to the SI unit;
+     * null for fields without units.
+     */
+    function getUnit(field, units) {
+        const options = UNITS[field];
+        if (!options) return null;
+        const id = units && typeof units === 'object' ? units[field] : units;
+        return options.find(unit => unit.id === id)
+            || options.find(unit => unit.system === id)
+            || options[0];
+    }
+
+    /**
+     * Returns a copy of `inputs` expressed in SI units (cm, mmol/L).
+     * `units` as for getUnit; SI inputs are returned unchanged.
+     */
+    function toSI(inputs, units) {
+        const si = { ...inputs };
+        Object.keys(UNITS).forEach(field => {
+            if (typeof inputs[field] !== 'number') return;
+            const unit = getUnit(field, units);
+            si[field] = inputs[field] * unit.factor + (unit.offset || 0);
+        });
+        return si;
+    }
+
+    /**
+     * Inverse of toSI: expresses SI `values` in `units`.
+     */
+    function fromSI(values, units) {
+        const converted = { ...values };
+        Object.keys(UNITS).forEach(field => {
+            if (typeof values[field] !== 'number') return;
+            const unit = getUnit(field, units);
+            converted[field] = (values[field] - (unit.offset || 0)) / unit.factor;
+        });
+        return converted;
+    }
+
+    // ============================================
+    // 3. RISK CALCULATION
+    // ============================================
+
+    function resolveModel(model) {
+        if (!model) return DEFAULT_MODEL;
+        return typeof model === 'string' ? Models.getModel(model) : model;
+    }
+
+    function scoreLogistic(model, values) {
+        const B = model.betas;
+        const score = model.inputs.reduce((sum, key) => sum + B[key] * values[key], B.sigma);
+        const probability = 1 / (1 + Math.exp(-score));
+
+        // Calculate Contributions (Mean Centered)
+        const contributions = {};
+        model.inputs.forEach(key => {
+            contributions[key] = B[key] * (values[key] - model.means[key]);
+        });
+
+        return { probability, score, contributions };
+    }
+
+    function scorePoints(model, values) {
+        const contributions = {};
+        Object.keys(model.points).forEach(key => {
+            contributions[key] = model.points[key](values);
+        });
+        const points = Object.values(contributions).reduce((sum, pts) => sum + pts, 0);
+
+        // Point models without a published risk table only report the score
+        let probability = null;
+        if (model.riskTable) {
+            model.riskTable.forEach(([minPoints, risk]) => {
+                if (points >= minPoints) probability = risk;
+            });
+        }
+
+        return { probability, score: points, points, contributions };
+    }
+
+    /**
+     * Computes diabetes risk for one patient.
+     * `inputs` holds the model's factors (toggles as 0/1, sex as 'male'/'female');
+     * `options.units` is 'si' (default), 'us' or per-field units (see getUnit),
+     * `options.model` a model id or definition (default: Schmidt 2005 clinical).
+     * Returns { model, probability, score, contributions, values } where
+     * contributions are mean-centered log-odds (logistic models) or item
+     * points (point models) and values are in SI units. Point models also
+     * report `points`; `probability` is null when the model publishes none.
+     */
+    function computeRisk(inputs, options) {
+        const units = (options && options.units) || 'si';
+        const model = resolveModel(options && options.model);
+        const values = toSI(inputs, units);
+
+        const result = model.type === 'points'
+            ? scorePoints(model, values)
+            : scoreLogistic(model, values);
+
+        return { model, ...result, values };
+    }
+
+    // ============================================
+    // 4. TREATMENT PROJECTION
+    // ============================================
+
+    /**
+     * Applies treatment effects to SI `values`. Each effect is
+     * { field, change } (absolute, SI units) and/or { field, relative }
+     * (fraction, e.g. -0.2 for -20%). Effects are assumed independent and
+     * combine in order. Returns a new values object; values never go below 0.
+     */
+    function applyEffects(values, effects) {
+        const projected = { ...values };
+        effects.forEach(effect => {
+            const current = projected[effect.field];
+            if (typeof current !== 'number') return;
+
+            let next = current * (1 + (effect.relative || 0)) + (effect.change || 0);
+            if (next < 0) next = 0;
+            projected[effect.field] = next;
+        });
+        return projected;
+    }
+
+    // ============================================
+    // 5. COMPARISON
+    // ============================================
+
+    /**
+     * Compares two computeRisk results of the same model (e.g. two visits,
+     * or a baseline and a target scenario).
+     * Returns { probabilityChange, relativeChange, scoreChange, drivers } where
+     * drivers lists every factor as { key, before, after, delta, valueBefore,
+     * valueAfter } sorted by the size of its contribution change.
+     */
+    function compareResults(before, after) {
+        if (before.model.id !== after.model.id) {
+            throw new Error('Cannot compare results of different risk models');
+        }
+
+        const hasProbability = before.probability !== null && after.probability !== null;
+        const probabilityChange = hasProbability ? after.probability - before.probability : null;
+        const relativeChange = hasProbability && before.probability > 0
+            ? probabilityChange / before.probability
+            : null;
+
+        const drivers = Object.keys(after.contributions).map(key => ({
+            key,
+            before: before.contributions[key],
+            after: after.contributions[key],
+            delta: after.contributions[key] - before.contributions[key],
+            valueBefore: before.values[key],
+            valueAfter: after.values[key]
+        }));
+        drivers.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+        return {
+            probabilityChange,
+            relativeChange,
+            scoreChange: after.score - before.score,
+            drivers
+        };
+    }
+
+    // ============================================
+    // 6. INPUT VALIDATION
+    // ============================================
+
+    // Physiologically plausible limits (SI); values outside are entry errors
+    const PLAUSIBLE_RANGES = {
+        age: [18, 120],
+        sbp: [60, 260],         // mmHg
+        height: [120, 230],     // cm
+        waist: [40, 200],       // cm
+        fastGlu: [1, 35],       // mmol/L
+        cholHDL: [0.2, 5],      // mmol/L
+        cholTri: [0.1, 30],     // mmol/L
+        bmi: [10, 90]           // kg/m²
+    };
+
+    // Waist-to-height ratios outside these limits point to a swapped or mistyped value
+    const WAIST_HEIGHT_RATIO = [0.3, 1.2];
+
+    /**
+     * Checks the inputs a model needs before scoring.
+     * `options.units` and `options.model` as for computeRisk; `options.ranges`
+     * optionally narrows the accepted SI [min, max] per field (e.g. the
+     * calculator's slider limits) on top of the model's own `ranges`.
+     * `inputs.ethnicity` (optional) is checked against the model's `populations`.
+     * Returns { valid, extrapolated, issues } where each issue is
+     * { field, type, severity, range?, fields?, value?, message? }:
+     *   missing      (error)   no usable value
+     *   implausible  (error)   outside PLAUSIBLE_RANGES or an impossible combination
+     *   extrapolated (warning) outside the model's or the supported range
+     *   population   (warning) group not represented in the derivation cohort
+     *   unusual      (warning) a rare combination worth double-checking
+     * `valid` is false when any error is present.
+     */
+    function validateInputs(inputs, options) {
+        const units = (options && options.units) || 'si';
+        const model = resolveModel(options && options.model);
+        const supported = (options && options.ranges) || {};
+        const values = toSI(inputs, units);
+        const issues = [];
+
+        model.inputs.forEach(field => {
+            const value = values[field];
+
+            if (field === 'sex') {
+                if (value !== 'male' && value !== 'female') issues.push({ field, type: 'missing', severity: 'error' });
+                return;
+            }
+            if (value === undefined || value === null || value === '' || isNaN(value)) {
+                issues.push({ field, type: 'missing', severity: 'error' });
+                return;
+            }
+
+            const plausible = PLAUSIBLE_RANGES[field];
+            if (plausible && (value < plausible[0] || value > plausible[1])) {
+                issues.push({ field, type: 'implausible', severity: 'error', range: plausible });
+                return;
+            }
+
+            // Narrowest of the model's derivation range and the supported range
+            const limits = [(model.ranges || {})[field], supported[field]].filter(Boolean);
+            if (!limits.length) return;
+            const range = [
+                Math.max(...limits.map(limit => limit[0])),
+                Math.min(...limits.map(limit => limit[1]))
+            ];
+            if (value < range[0] || value > range[1]) {
+                issues.push({ field, type: 'extrapolated', severity: 'warning', range });
+            }
+        });
+
+        if (inputs.ethnicity && model.populations && !model.populations.includes(inputs.ethnicity)) {
+            issues.push({ field: 'ethnicity', type: 'population', severity: 'warning' });
+        }
+
+        // Combinations, only between values that passed the checks above
+        const usable = field => model.inputs.includes(field) && !issues.some(issue => issue.field === field);
+
+        if (usable('waist') && usable('height')) {
+            const ratio = values.waist / values.height;
+            if (ratio < WAIST_HEIGHT_RATIO[0] || ratio > WAIST_HEIGHT_RATIO[1]) {
+                issues.push({
+                    field: 'waist', fields: ['waist', 'height'], type: 'implausible', severity: 'error', value: ratio,
+                    message: `Waist-to-height ratio of ${ratio.toFixed(2)} is implausible; check both values`
+                });
+            }
+        }
+        if (usable('cholHDL') && usable('cholTri')) {
+            // Compared by mass (mg/dL), HDL rarely exceeds triglycerides
+            const hdl = values.cholHDL / CONVERSIONS.hdlToMmol;
+            const tri = values.cholTri / CONVERSIONS.triToMmol;
+            if (hdl > tri) {
+                issues.push({
+                    field: 'cholHDL', fields: ['cholHDL', 'cholTri'], type: 'unusual', severity: 'warning',
+                    message: 'HDL above triglycerides is unusual; check both values'
+                });
+            }
+        }
+
+        return {
+            valid: !issues.some(issue => issue.severity === 'error'),
+            extrapolated: issues.some(issue => issue.type === 'extrapolated' || issue.type === 'population'),
+            issues
+        };
+    }
+
+    // ============================================
+    // 7. ESTIMATION OF MISSING MEASUREMENTS
+    // ============================================
+
+    // Estimates for a missing measurement from other inputs (SI), tried in order
+    // so that later ones can build on earlier estimates. Only exact relations
+    // belong here: a measured waist or fasting glucose is never estimated.
+    const ESTIMATES = [
+        {
+            field: 'bmi',
+            from: ['weight', 'height'],
+            estimate: v => v.weight / Math.pow(v.height / 100, 2)
+        }
+    ];
+
+    function isKnown(value) {
+        return typeof value === 'string' || (typeof value === 'number' && isFinite(value));
+    }
+
+    /**
+     * Fills measurements missing from `inputs` (NaN or absent) with ESTIMATES
+     * wherever their sources are known, e.g. BMI from weight and height.
+     * `options.units` as for computeRisk. Returns { inputs, imputed } where
+     * inputs are in SI units and imputed maps each estimated field to the
+     * entered inputs it was derived from (through earlier estimates too).
+     */
+    function imputeInputs(inputs, options) {
+        const values = toSI(inputs, (options && options.units) || 'si');
+        const imputed = {};
+
+        ESTIMATES.forEach(rule => {
+            if (isKnown(values[rule.field]) || !rule.from.every(field => isKnown(values[field]))) return;
+            const value = rule.estimate(values);
+            if (!isKnown(value)) return;
+
+            values[rule.field] = value;
+            imputed[rule.field] = [...new Set(rule.from.flatMap(field => imputed[field] || [field]))];
+        });
+
+        return { inputs: values, imputed };
+    }
+
+    /**
+     * Estimated average glucose (mmol/L) for an HbA1c in mmol/mol (ADAG:
+     * Nathan DM et al. Diabetes Care 2008;31:1473-1478). It is the mean over
+     * the day, not a fasting value, so it never stands in for fastGlu.
+     */
+    function averageGlucose(hba1c) {
+        return 1.59 * (hba1c / 10.929 + 2.15) - 2.59;
+    }
+
+    // Waist action levels (cm) chosen to identify BMI 25 and 30 kg/m² (Lean ME,
+    // Han TS, Morrison CE. BMJ 1995;311:158-161)
+    const WAIST_ACTION_LEVELS = {
+        bmi: [25, 30],
+        male: [94, 102],
+        female: [80, 88]
+    };
+
+    /**
+     * The waist range (cm) that corresponds to the BMI's band in
+     * WAIST_ACTION_LEVELS, { min, max } with an open end left out. A pointer
+     * for orientation, not an estimate: the models need a measured waist.
+     */
+    function waistRangeForBmi(bmi, sex) {
+        const levels = WAIST_ACTION_LEVELS[sex === 'female' ? 'female' : 'male'];
+        const band = WAIST_ACTION_LEVELS.bmi.filter(cutoff => bmi >= cutoff).length;
+        const range = {};
+        if (band > 0) range.min = levels[band - 1];
+        if (band < levels.length) range.max = levels[band];
+        return range;
+    }
+
+    // ============================================
+    // 8. GOAL SEEKING
+    // ============================================
+
+    // Realistic changes of the modifiable factors (SI units): the largest change,
+    // whose sign gives the direction, and the value no change goes past. Roughly
+    // what lifestyle change together with one drug achieves.
+    const CHANGE_LIMITS = {
+        sbp: { change: -20, limit: 110 },       // mmHg
+        waist: { change: -10, limit: 70 },      // cm, about 10% weight loss
+        fastGlu: { change: -1.5, limit: 4.5 },  // mmol/L
+        cholHDL: { change: 0.3, limit: 1.8 },   // mmol/L
+        cholTri: { change: -1.0, limit: 1.0 }   // mmol/L
+    };
+
+    // Search resolution: moves are multiples of 1/GOAL_STEPS of a change limit
+    const GOAL_STEPS = 20;
+
+    /**
+     * Smallest combination of changes to the modifiable factors that brings the
+     * predicted probability of SI `values` down to `options.target` (0-1).
+     * Effort is the fraction of each factor's change limit used (CHANGE_LIMITS,
+     * overridden per field by `options.limits`). The search is greedy: it keeps
+     * taking the move with the largest risk reduction per effort and stops at
+     * the target or when nothing helps, so the plan is an approximation, not
+     * necessarily the combination with the least effort.
+     * Returns { reached, result, changes: [{ field, from, to, end }], ends },
+     * where end is the furthest value the limits allow and ends holds it for
+     * every factor that may move, or null when the model predicts no
+     * probability.
+     */
+    function seekTarget(values, options) {
+        options = options || {};
+        const model = resolveModel(options.model);
+        const limits = { ...CHANGE_LIMITS, ...options.limits };
+        const target = options.target;
+        const probabilityOf = v => computeRisk(v, { model }).probability;
+
+        let probability = probabilityOf(values);
+        if (probability === null) return null;
+
+        // How far each factor the model uses may move
+        const ends = {};
+        Object.keys(limits).forEach(field => {
+            if (!model.inputs.includes(field) || typeof values[field] !== 'number') return;
+            const { change, limit } = limits[field];
+            const end = values[field] + change;
+            ends[field] = change < 0 ? Math.min(values[field], Math.max(end, limit)) : Math.max(values[field], Math.min(end, limit));
+        });
+
+        const current = { ...values };
+        while (probability > target) {
+            // Per factor the shortest move that lowers the risk (points models step)
+            let best = null;
+            Object.keys(ends).forEach(field => {
+                const step = limits[field].change / GOAL_STEPS;
+                let next = current[field];
+                while (next !== ends[field]) {
+                    next = step < 0 ? Math.max(next + step, ends[field]) : Math.min(next + step, ends[field]);
+                    const p = probabilityOf({ ...current, [field]: next });
+                    if (p < probability) {
+                        const gain = (probability - p) / Math.abs((next - current[field]) / limits[field].change);
+                        if (!best || gain > best.gain) best = { field, value: next, probability: p, gain };
+                        break;
+                    }
+                }
+            });
+            if (!best) break;
+
+            // Past the target: only move as far as needed
+            if (best.probability < target) {
+                let short = current[best.field];
+                let enough = best.value;
+                for (let i = 0; i < 30; i++) {
+                    const mid = (short + enough) / 2;
+                    if (probabilityOf({ ...current, [best.field]: mid }) <= target) enough = mid; else short = mid;
+                }
+                best.value = enough;
+            }
+            current[best.field] = best.value;
+            probability = probabilityOf(current);
+        }
+
+        return {
+            reached: probability <= target,
+            result: computeRisk(current, { model }),
+            changes: Object.keys(ends)
+                .filter(field => current[field] !== values[field])
+                .map(field => ({ field, from: values[field], to: current[field], end: ends[field] })),
+            ends
+        };
+    }
+
+    return {
+        BETAS,
+        MEANS,
+        CONVERSIONS,
+        UNITS,
+        SI_FACTORS,
+        FACTORS,
+        PLAUSIBLE_RANGES,
+        MODELS: Models,
+        getModel: Models.getModel,
+        listModels: Models.listModels,
+        registerModel: Models.registerModel,
+        getUnit,
+        toSI,
+        fromSI,
+        computeRisk,
+        applyEffects,
+        compareResults,
+        validateInputs,
+        ESTIMATES,
+        imputeInputs,
+        averageGlucose,
+        WAIST_ACTION_LEVELS,
+        waistRangeForBmi,
+        CHANGE_LIMITS,
+        seekTarget
+    };
+});
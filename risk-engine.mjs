@@ -0,0 +1,19 @@
+/**
+ * ES module entry point for the Diabetes Risk Engine.
+ * In Node the CommonJS build is picked up as the default export; in the
+ * browser the classic scripts (risk-models.js, then risk-engine.js) must be
+ * loaded first and register window.DiabetesRiskEngine instead.
+ */
+
+import * as engineModule from './risk-engine.js';
+
+const engine = engineModule.default || globalThis.DiabetesRiskEngine;
+
+export const {
+    BETAS, MEANS, CONVERSIONS, UNITS, SI_FACTORS, FACTORS, PLAUSIBLE_RANGES, MODELS,
+    getModel, listModels, registerModel, getUnit, toSI, fromSI,
+    computeRisk, applyEffects, compareResults, validateInputs, ESTIMATES, imputeInputs,
+    averageGlucose, WAIST_ACTION_LEVELS, waistRangeForBmi,
+    CHANGE_LIMITS, seekTarget
+} = engine;
+export default engine;
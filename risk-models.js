@@ -0,0 +1,211 @@
+/**
+ * Diabetes Risk Model Registry
+ * Each model declares its inputs, coefficients or point tables, outcome
+ * horizon and citation. Optional `ranges` give the derivation cohort's
+ * [min, max] per input and `populations` the groups it represented ('white',
+ * 'black', 'hispanic', 'south-asian', 'east-asian', ...); estimates outside
+ * them are extrapolated. Values are always scored in SI units (cm, mmol/L).
+ * Loads as a classic <script> (window.DiabetesRiskModels) or via require().
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DiabetesRiskModels = factory();
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // Returns the points of the highest band whose lower bound `value` reaches.
+    // `bands` is a list of [lowerBound, points] sorted ascending.
+    function band(value, bands) {
+        let points = 0;
+        bands.forEach(([lower, pts]) => {
+            if (value >= lower) points = pts;
+        });
+        return points;
+    }
+
+    // ============================================
+    // 1. LOGISTIC MODELS
+    // ============================================
+
+    const ARIC_CLINICAL = {
+        id: 'aric-clinical',
+        name: 'ARIC Clinical Model',
+        type: 'logistic',
+        horizon: 9,
+        outcome: 'Incident type 2 diabetes',
+        citation: 'Schmidt MI, Duncan BB, Bang H, et al. Identifying individuals at high risk for diabetes: The Atherosclerosis Risk in Communities study. Diabetes Care. 2005;28(8):2013-2018.',
+        inputs: ['age', 'race', 'parentHist', 'sbp', 'waist', 'height', 'fastGlu', 'cholHDL', 'cholTri'],
+
+        // ARIC enrolled white and African American adults aged 45-64 years
+        ranges: { age: [45, 64] },
+        populations: ['white', 'black'],
+
+        // Model Coefficients (Betas) from Schmidt et al. The paper publishes no
+        // standard errors or covariance matrix, so no confidence interval is reported.
+        betas: {
+            age: 0.0173,
+            race: 0.4433,       // Black (1) vs Other (0)
+            parentHist: 0.4981, // Yes (1) vs No (0)
+            sbp: 0.0111,
+            waist: 0.0273,      // cm
+            height: -0.0326,    // cm
+            fastGlu: 1.5849,    // mmol/L
+            cholHDL: -0.4718,   // mmol/L
+            cholTri: 0.242,     // mmol/L
+            sigma: -9.9808      // Intercept
+        },
+
+        // Population Means (ARIC Study Baseline)
+        means: {
+            age: 54,
+            race: 0.25,
+            parentHist: 0.3,
+            sbp: 120,
+            waist: 97,
+            height: 168,
+            fastGlu: 5.5,
+            cholHDL: 1.3,
+            cholTri: 1.7
+        }
+    };
+
+    const ARIC_BASIC = {
+        id: 'aric-basic',
+        name: 'ARIC Basic Model (no labs)',
+        type: 'logistic',
+        horizon: 9,
+        outcome: 'Incident type 2 diabetes',
+        citation: 'Schmidt MI, Duncan BB, Bang H, et al. Identifying individuals at high risk for diabetes: The Atherosclerosis Risk in Communities study. Diabetes Care. 2005;28(8):2013-2018 (basic model).',
+        inputs: ['age', 'race', 'parentHist', 'sbp', 'waist', 'height'],
+        ranges: { age: [45, 64] },
+        populations: ['white', 'black'],
+        betas: {
+            age: 0.0271,
+            race: 0.2295,
+            parentHist: 0.5463,
+            sbp: 0.0123,
+            waist: 0.0456,
+            height: -0.0158,
+            sigma: -7.3359
+        },
+        means: ARIC_CLINICAL.means
+    };
+
+    // ============================================
+    // 2. POINT-SCORE MODELS
+    // ============================================
+
+    const FINDRISC = {
+        id: 'findrisc',
+        name: 'FINDRISC',
+        type: 'points',
+        horizon: 10,
+        outcome: 'Drug-treated type 2 diabetes',
+        citation: 'Lindström J, Tuomilehto J. The Diabetes Risk Score: a practical tool to predict type 2 diabetes risk. Diabetes Care. 2003;26(3):725-731.',
+        inputs: ['age', 'sex', 'bmi', 'waist', 'physActivity', 'vegFruit', 'bpMeds', 'highGluHist', 'parentHist', 'relativeHist'],
+        ranges: { age: [35, 64] },     // 1987 FINRISK derivation cohort
+        populations: ['white'],
+        maxPoints: 26,
+        points: {
+            age: v => band(v.age, [[45, 2], [55, 3], [65, 4]]),
+            bmi: v => band(v.bmi, [[25, 1], [30, 3]]),
+            waist: v => v.sex === 'female'
+                ? band(v.waist, [[80, 3], [88, 4]])
+                : band(v.waist, [[94, 3], [102, 4]]),
+            physActivity: v => v.physActivity ? 0 : 2,
+            vegFruit: v => v.vegFruit ? 0 : 1,
+            bpMeds: v => v.bpMeds ? 2 : 0,
+            highGluHist: v => v.highGluHist ? 5 : 0,
+            parentHist: v => v.parentHist ? 5 : (v.relativeHist ? 3 : 0)
+        },
+        // [minimum points, estimated 10-year risk]
+        riskTable: [[0, 0.01], [7, 0.04], [12, 0.17], [15, 0.33], [21, 0.5]]
+    };
+
+    const ADA = {
+        id: 'ada',
+        name: 'ADA Risk Test',
+        type: 'points',
+        horizon: null,      // Detects current, undiagnosed diabetes
+        outcome: 'Undiagnosed type 2 diabetes (screening)',
+        citation: 'Bang H, Edwards AM, Bomback AS, et al. Development and validation of a patient self-assessment score for diabetes risk. Ann Intern Med. 2009;151(11):775-783.',
+        inputs: ['age', 'sex', 'gestDiab', 'parentHist', 'hypertension', 'physActivity', 'bmi'],
+        populations: ['white', 'black', 'hispanic'],     // NHANES 1999-2004
+        maxPoints: 11,
+        points: {
+            age: v => band(v.age, [[40, 1], [50, 2], [60, 3]]),
+            sex: v => v.sex === 'female' ? 0 : 1,
+            gestDiab: v => v.sex === 'female' && v.gestDiab ? 1 : 0,
+            parentHist: v => v.parentHist ? 1 : 0,
+            hypertension: v => v.hypertension ? 1 : 0,
+            physActivity: v => v.physActivity ? 0 : 1,
+            bmi: v => band(v.bmi, [[25, 1], [30, 2], [40, 3]])
+        },
+        // No probability is published; a score at or above the cut-off warrants testing
+        cutoff: 5
+    };
+
+    const FRAMINGHAM_OFFSPRING = {
+        id: 'framingham',
+        name: 'Framingham Offspring Simple Score',
+        type: 'points',
+        horizon: 8,
+        outcome: 'Incident type 2 diabetes',
+        citation: 'Wilson PWF, Meigs JB, Sullivan L, et al. Prediction of incident diabetes mellitus in middle-aged adults: the Framingham Offspring Study. Arch Intern Med. 2007;167(10):1068-1074.',
+        inputs: ['sex', 'fastGlu', 'bmi', 'cholHDL', 'parentHist', 'cholTri', 'sbp', 'bpMeds'],
+        populations: ['white'],
+        maxPoints: 28,
+        points: {
+            fastGlu: v => v.fastGlu >= 100 / 18 ? 10 : 0,                     // 100-126 mg/dL
+            bmi: v => band(v.bmi, [[25, 2], [30, 5]]),
+            cholHDL: v => v.cholHDL < (v.sex === 'female' ? 50 : 40) / 38.67 ? 5 : 0,
+            parentHist: v => v.parentHist ? 3 : 0,
+            cholTri: v => v.cholTri >= 150 / 88.57 ? 3 : 0,
+            sbp: v => v.sbp >= 130 || v.bpMeds ? 2 : 0                         // or treated hypertension
+        },
+        riskTable: [
+            [0, 0.03], [11, 0.04], [13, 0.05], [14, 0.06], [15, 0.07], [16, 0.09],
+            [17, 0.11], [18, 0.13], [19, 0.15], [20, 0.18], [21, 0.21], [22, 0.25],
+            [23, 0.29], [24, 0.33], [25, 0.35]
+        ]
+    };
+
+    // ============================================
+    // 3. REGISTRY
+    // ============================================
+
+    const registry = {};
+
+    function registerModel(model) {
+        if (!model || !model.id) throw new Error('Risk model requires an id');
+        if (model.type !== 'logistic' && model.type !== 'points') {
+            throw new Error(`Unknown risk model type "${model.type}" for ${model.id}`);
+        }
+        registry[model.id] = model;
+        return model;
+    }
+
+    function getModel(id) {
+        const model = registry[id];
+        if (!model) throw new Error(`Unknown risk model "${id}"`);
+        return model;
+    }
+
+    function listModels() {
+        return Object.values(registry);
+    }
+
+    [ARIC_CLINICAL, ARIC_BASIC, FINDRISC, ADA, FRAMINGHAM_OFFSPRING].forEach(registerModel);
+
+    return {
+        DEFAULT_MODEL: ARIC_CLINICAL.id,
+        band,
+        registerModel,
+        getModel,
+        listModels
+    };
+});
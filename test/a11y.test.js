@@ -0,0 +1,65 @@
+/**
+ * Runs axe-core over index.html in jsdom: the clinician view and the
+ * patient view, in English and German. Color contrast is left out because
+ * jsdom does not lay out or paint the page.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const AXE_SOURCE = fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+
+// Serves the local scripts and styles only (no web fonts); the print style
+// sheet is skipped because jsdom applies it regardless of its media query
+class LocalLoader extends ResourceLoader {
+    fetch(url, options) {
+        if (!url.startsWith('file:') || url.endsWith('print.css')) return null;
+        return super.fetch(url, options);
+    }
+}
+
+async function loadPage() {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+    virtualConsole.on('error', (...args) => errors.push(args.join(' ')));
+
+    const dom = await JSDOM.fromFile(path.join(ROOT, 'index.html'), {
+        runScripts: 'dangerously',
+        resources: new LocalLoader(),
+        virtualConsole,
+        beforeParse(window) {
+            window.matchMedia = () => ({ matches: false, addListener() {}, addEventListener() {} });
+            window.HTMLCanvasElement.prototype.getContext = () => null;
+        }
+    });
+    await new Promise(resolve => dom.window.addEventListener('load', resolve));
+    dom.window.eval(AXE_SOURCE);
+    return { window: dom.window, errors };
+}
+
+async function violations(window) {
+    const results = await window.axe.run(window.document, { rules: { 'color-contrast': { enabled: false } } });
+    // Array.from here, not .map: the result should be a Node array, not one of the page's
+    return Array.from(results.violations, violation =>
+        `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+test('the page has no axe violations', async t => {
+    const { window, errors } = await loadPage();
+    t.after(() => window.close());
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(await violations(window), [], 'clinician view');
+
+    window.togglePatientView();
+    assert.deepStrictEqual(await violations(window), [], 'patient view');
+
+    window.togglePatientView();
+    window.selectLocale('de');
+    assert.deepStrictEqual(await violations(window), [], 'German');
+});
@@ -0,0 +1,79 @@
+/**
+ * Batch scoring: CSV parsing, column mapping, scoring with flags and the
+ * results CSV.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Batch = require('../batch.js');
+const Engine = require('../risk-engine.js');
+
+const CSV = [
+    '﻿Age;Race;Family history;Systolic BP;Waist (in);Height (in);Glucose;HDL;TG;Note',
+    '55;white;yes;130;39,4;69;104;42;177;"=HYPERLINK(""x"")"',
+    '60;black;no;;40;70;100;50;150;',
+    '58;white;no;125;40;70;100;200;150;-'
+].join('\r\n');
+
+const MAPPING = {
+    age: 'Age', race: 'Race', parentHist: 'Family history', sbp: 'Systolic BP', waist: 'Waist (in)',
+    height: 'Height (in)', fastGlu: 'Glucose', cholHDL: 'HDL', cholTri: 'TG'
+};
+
+function scoreExample() {
+    const { rows } = Batch.parseCSV(CSV);
+    return Batch.scoreRows(rows, { model: 'aric-clinical', mapping: MAPPING, units: 'us' });
+}
+
+test('parseCSV reads semicolons, quotes and decimal commas, and drops a BOM', () => {
+    const { headers, rows } = Batch.parseCSV(CSV);
+
+    assert.strictEqual(headers[0], 'Age');
+    assert.strictEqual(rows.length, 3);
+    assert.strictEqual(rows[0]['Waist (in)'], '39,4');
+    assert.strictEqual(rows[0].Note, '=HYPERLINK("x")');
+    assert.throws(() => Batch.parseCSV('\n \n'), error => error.type === 'empty');
+});
+
+test('guessMapping matches the headers by their aliases', () => {
+    const { headers } = Batch.parseCSV(CSV);
+    assert.deepStrictEqual(Batch.guessMapping(headers, Engine.getModel('aric-clinical').inputs), MAPPING);
+    assert.deepStrictEqual(Batch.guessMapping(['foo'], ['age']), { age: '' });
+});
+
+test('scoreRows scores complete rows and flags the others', () => {
+    const [complete, missing, implausible] = scoreExample();
+
+    const expected = Engine.computeRisk({
+        age: 55, race: 0, parentHist: 1, sbp: 130, waist: 39.4, height: 69, fastGlu: 104, cholHDL: 42, cholTri: 177
+    }, { units: 'us' });
+    assert.strictEqual(complete.result.probability, expected.probability);
+    assert.strictEqual(complete.line, 2);
+
+    assert.deepStrictEqual(missing.missing, ['sbp']);
+    assert.strictEqual(missing.result, null);
+    assert.deepStrictEqual(implausible.implausible, ['cholHDL']);
+    assert.strictEqual(implausible.result, null);
+});
+
+test('resultsCSV neutralizes formulas but keeps numbers', () => {
+    const { headers } = Batch.parseCSV(CSV);
+    const output = Batch.parseCSV(Batch.resultsCSV(headers, scoreExample(), 'aric-clinical'));
+    const [complete, , implausible] = output.rows;
+
+    assert.deepStrictEqual(output.headers.slice(-2), ['contribution_cholHDL', 'contribution_cholTri']);
+    assert.strictEqual(complete.Note, '\'=HYPERLINK("x")');
+    assert.strictEqual(implausible.Note, "'-");
+    assert.strictEqual(complete['Waist (in)'], '39,4');
+    assert.match(complete.contribution_height, /^-\d+\.\d{4}$/, 'negative contributions stay numbers');
+});
+
+test('summarize counts the scored rows into probability bins', () => {
+    const summary = Batch.summarize(scoreExample(), 'aric-clinical');
+
+    assert.strictEqual(summary.total, 3);
+    assert.strictEqual(summary.scored, 1);
+    assert.strictEqual(summary.flagged, 2);
+    assert.strictEqual(summary.histogram.reduce((sum, bin) => sum + bin.count, 0), 1);
+});
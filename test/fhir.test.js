@@ -0,0 +1,108 @@
+/**
+ * FHIR import (Bundle -> SI inputs) and export (RiskAssessment).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Engine = require('../risk-engine.js');
+const Fhir = require('../fhir.js');
+const EXAMPLE = require('../examples/fhir-bundle.json');
+
+const LOINC = 'http://loinc.org';
+
+function observation(code, value, unit, extra) {
+    return {
+        resource: {
+            resourceType: 'Observation',
+            status: 'final',
+            code: { coding: [{ system: LOINC, code }] },
+            valueQuantity: { value, code: unit },
+            ...extra
+        }
+    };
+}
+
+function bundle(...entries) {
+    return { resourceType: 'Bundle', type: 'collection', entry: entries };
+}
+
+test('the example Bundle maps onto the ARIC clinical inputs', () => {
+    const imported = Fhir.importBundle(EXAMPLE, { asOf: new Date(2026, 9, 1) });
+
+    assert.deepStrictEqual(imported.warnings, []);
+    assert.strictEqual(imported.patientReference, 'Patient/example');
+    assert.strictEqual(imported.inputs.age, 55);
+    assert.strictEqual(imported.inputs.sex, 'female');
+    assert.strictEqual(imported.inputs.fastGlu, 108 * Engine.CONVERSIONS.gluToMmol);
+    assert.strictEqual(imported.inputs.cholTri, 1.9);
+    assert.strictEqual(imported.inputs.sbp, 138);
+    assert.deepStrictEqual(imported.sources.fastGlu, { id: 'glucose', date: '2026-09-14' });
+});
+
+test('units are converted and the latest final observation wins', () => {
+    const imported = Fhir.importBundle(bundle(
+        { resource: { resourceType: 'Patient', id: 'p' } },
+        observation('8302-2', 1.7, 'm', { effectiveDateTime: '2024-01-01' }),
+        observation('8302-2', 172, 'cm', { effectiveDateTime: '2025-01-01' }),
+        observation('8302-2', 190, 'cm', { effectiveDateTime: '2026-01-01', status: 'preliminary' }),
+        observation('4548-4', 6.5, '%'),
+        observation('14771-0', 6, 'mmol/L'),
+        observation('14646-4', 50, 'g/L')
+    ));
+
+    assert.strictEqual(imported.inputs.height, 172);
+    assert.ok(Math.abs(imported.inputs.hba1c - 47.5) < 0.1);
+    assert.strictEqual(imported.inputs.fastGlu, 6);
+    assert.strictEqual(imported.inputs.cholHDL, undefined);
+    assert.deepStrictEqual(imported.warnings, [{ type: 'unsupportedUnit', code: '14646-4', unit: 'g/L' }]);
+});
+
+test('observations of another subject are skipped with a warning', () => {
+    const imported = Fhir.importBundle(bundle(
+        { fullUrl: 'urn:uuid:1', resource: { resourceType: 'Patient', id: 'a' } },
+        observation('8480-6', 120, 'mm[Hg]', { subject: { reference: 'urn:uuid:1' } }),
+        observation('8302-2', 170, 'cm', { subject: { reference: 'https://example.org/fhir/Patient/a' } }),
+        observation('8280-0', 90, 'cm', { subject: { reference: 'Patient/a' } }),
+        observation('8280-0', 120, 'cm', { subject: { reference: 'Patient/b' }, effectiveDateTime: '2030-01-01' }),
+        observation('1558-6', 5.2, 'mmol/L')
+    ));
+
+    assert.deepStrictEqual(imported.inputs, { sbp: 120, height: 170, waist: 90, fastGlu: 5.2 });
+    assert.deepStrictEqual(imported.warnings, [{ type: 'otherSubject', reference: 'Patient/b', count: 1 }]);
+});
+
+test('a Bundle without a Patient warns, anything else throws a typed error', () => {
+    assert.deepStrictEqual(Fhir.importBundle(bundle()).warnings, [{ type: 'noPatient' }]);
+    assert.throws(() => Fhir.importBundle({ resourceType: 'Patient' }), error => error.type === 'notBundle');
+});
+
+test('toRiskAssessment exports the prediction for the imported Patient', () => {
+    const result = Engine.computeRisk({
+        age: 55, race: 0, parentHist: 1, sbp: 130, waist: 100, height: 175, fastGlu: 5.8, cholHDL: 1.1, cholTri: 2.0
+    });
+    const assessment = Fhir.toRiskAssessment(result, {
+        patientReference: 'Patient/example',
+        basis: ['Observation/glucose'],
+        category: 'High Risk',
+        date: '2026-10-01'
+    });
+
+    assert.strictEqual(assessment.resourceType, 'RiskAssessment');
+    assert.deepStrictEqual(assessment.subject, { reference: 'Patient/example' });
+    assert.deepStrictEqual(assessment.basis, [{ reference: 'Observation/glucose' }]);
+    assert.strictEqual(assessment.prediction[0].probabilityDecimal, Number(result.probability.toFixed(4)));
+    assert.strictEqual(assessment.prediction[0].qualitativeRisk.text, 'High Risk');
+    assert.strictEqual(assessment.prediction[0].whenRange.high.value, 9);
+    assert.strictEqual(assessment.contained, undefined);
+});
+
+test('without a Patient the RiskAssessment references a contained one', () => {
+    const result = Engine.computeRisk({ age: 50, sex: 'female', bmi: 24, physActivity: 1 }, { model: 'ada' });
+    const assessment = Fhir.toRiskAssessment(result);
+
+    assert.deepStrictEqual(assessment.subject, { reference: '#patient' });
+    assert.deepStrictEqual(assessment.contained, [{ resourceType: 'Patient', id: 'patient', gender: 'female' }]);
+    assert.strictEqual(assessment.prediction[0].probabilityDecimal, undefined);
+    assert.match(assessment.note[1].text, /^Score: \d+ of 11 points$/);
+});
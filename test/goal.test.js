@@ -0,0 +1,61 @@
+/**
+ * Goal seeking: seekTarget keeps its changes within CHANGE_LIMITS and
+ * reaches a target whenever the limits allow it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Engine = require('../risk-engine.js');
+
+const PATIENT = {
+    age: 58, race: 0, parentHist: 1, sbp: 145, waist: 110, height: 172,
+    fastGlu: 6.4, cholHDL: 0.9, cholTri: 2.8
+};
+
+function probability(values) {
+    return Engine.computeRisk(values).probability;
+}
+
+test('seekTarget reaches a reachable target within the change limits', () => {
+    const target = probability(PATIENT) * 0.7;
+    const plan = Engine.seekTarget(PATIENT, { target });
+
+    assert.strictEqual(plan.reached, true);
+    assert.ok(plan.result.probability <= target + 1e-9);
+    assert.ok(plan.changes.length > 0);
+    plan.changes.forEach(change => {
+        const limit = Engine.CHANGE_LIMITS[change.field];
+        assert.strictEqual(change.from, PATIENT[change.field]);
+        assert.ok(Math.abs(change.to - change.from) <= Math.abs(limit.change) + 1e-9, change.field);
+        assert.ok(limit.change < 0 ? change.to >= change.end - 1e-9 : change.to <= change.end + 1e-9, change.field);
+    });
+});
+
+test('seekTarget returns the limit of every factor that may move', () => {
+    const plan = Engine.seekTarget(PATIENT, { target: 0 });
+
+    assert.deepStrictEqual(Object.keys(plan.ends).sort(), ['cholHDL', 'cholTri', 'fastGlu', 'sbp', 'waist']);
+    assert.strictEqual(plan.ends.sbp, 125);
+    assert.ok(Math.abs(plan.ends.cholHDL - 1.2) < 1e-9);
+    assert.strictEqual(plan.reached, false);
+
+    // Everything at its limit is the lowest risk the plan can offer
+    const atEnds = probability({ ...PATIENT, ...plan.ends });
+    assert.ok(Math.abs(plan.result.probability - atEnds) < 1e-9);
+});
+
+test('limits can be overridden and a factor already past its limit stays put', () => {
+    const plan = Engine.seekTarget({ ...PATIENT, sbp: 105 }, {
+        target: 0,
+        limits: { waist: { change: -5, limit: 70 } }
+    });
+
+    assert.strictEqual(plan.ends.sbp, 105);
+    assert.strictEqual(plan.ends.waist, 105);
+    assert.ok(!plan.changes.some(change => change.field === 'sbp'));
+});
+
+test('seekTarget returns null for models without a probability', () => {
+    assert.strictEqual(Engine.seekTarget({ age: 50, sex: 'male', bmi: 30 }, { model: 'ada', target: 0.1 }), null);
+});
@@ -0,0 +1,97 @@
+/**
+ * Guideline profiles: guidelines.json validates, malformed profiles are
+ * reported without stopping the others, and profiles merge over the
+ * built-in one.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Guidelines = require('../guidelines.js');
+const FILE = require('../guidelines.json');
+
+const VALID = {
+    id: 'test',
+    name: 'Test',
+    version: '1',
+    date: '2026-01-01',
+    citations: ['A citation'],
+    riskCategories: [{ min: 0, cls: 'low', color: '#22c55e' }, { min: 20, cls: 'high', color: '#ef4444' }],
+    thresholds: { fastGlu: { elevated: 6.1, high: 7.0 }, cholHDL: { low: 1.0, veryLow: 0.8, female: { low: 1.2 } } },
+    treatments: {
+        fastGlu: {
+            id: 'glucose-treatment',
+            icon: 'bloodtype',
+            therapies: [{ id: 'lifestyle', source: 'A source', effects: [{ field: 'fastGlu', change: -0.2 }] }]
+        }
+    }
+};
+
+test('guidelines.json has no problems', () => {
+    const { profiles, errors } = Guidelines.parseGuidelines(JSON.stringify(FILE));
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(profiles.map(profile => profile.id), ['esc-easd', 'nice']);
+});
+
+test('validateProfile lists the problems of a profile', () => {
+    assert.deepStrictEqual(Guidelines.validateProfile(VALID), []);
+    assert.deepStrictEqual(Guidelines.validateProfile({ ...VALID, date: '1.1.2026', citations: [] }), [
+        'date must be YYYY-MM-DD',
+        'citations must be a non-empty list of strings'
+    ]);
+    assert.deepStrictEqual(Guidelines.validateProfile({ ...VALID, riskCategories: [{ min: 5, cls: 'low', color: 'red' }] }), [
+        'riskCategories must start at 0'
+    ]);
+    assert.deepStrictEqual(Guidelines.validateProfile({ ...VALID, thresholds: { sbp: { elevated: 140, high: 130 } } }), [
+        'thresholds.sbp.elevated must be below high'
+    ]);
+    assert.deepStrictEqual(Guidelines.validateProfile({ ...VALID, riskCategoryModels: [] }), [
+        'riskCategoryModels must be a non-empty list of model ids'
+    ]);
+});
+
+test('entries of the wrong type are reported instead of throwing', () => {
+    const malformed = [
+        { thresholds: { fastGlu: 5 } },
+        { thresholds: { fastGlu: null } },
+        { thresholds: { waist: { elevated: 94, high: 102, female: 'x' } } },
+        { thresholds: 'x' },
+        { riskCategories: [null] },
+        { treatments: { fastGlu: 7 } },
+        { treatments: { fastGlu: { ...VALID.treatments.fastGlu, therapies: [null] } } },
+        { treatments: { fastGlu: { ...VALID.treatments.fastGlu, therapies: [{ id: 'x', source: 's', effects: [null] }] } } }
+    ].map((change, i) => ({ ...VALID, id: `bad-${i}`, ...change }));
+
+    const { profiles, errors } = Guidelines.parseGuidelines({ profiles: [...malformed, VALID, 42] });
+    assert.deepStrictEqual(profiles.map(profile => profile.id), ['test']);
+    malformed.forEach(profile => {
+        assert.ok(errors.some(error => error.startsWith(`Guideline "${profile.id}": `)), profile.id);
+    });
+    assert.ok(errors.includes('Guideline #10: profile must be an object'));
+});
+
+test('mergeProfile fills in the built-in profile per section and factor', () => {
+    const base = {
+        riskCategories: [{ min: 0, cls: 'low', color: 'green' }],
+        thresholds: { fastGlu: { elevated: 5.6, high: 7.0 }, sbp: { elevated: 130, high: 140 } },
+        treatments: { fastGlu: { id: 'a' }, sbp: { id: 'b' } }
+    };
+
+    const merged = Guidelines.mergeProfile(base, { ...VALID, riskCategoryModels: ['findrisc'], treatments: { sbp: null } });
+    assert.strictEqual(merged.riskCategories, VALID.riskCategories);
+    assert.deepStrictEqual(merged.riskCategoryModels, ['findrisc']);
+    assert.deepStrictEqual(merged.thresholds.fastGlu, VALID.thresholds.fastGlu);
+    assert.deepStrictEqual(merged.thresholds.sbp, base.thresholds.sbp);
+    assert.deepStrictEqual(Object.keys(merged.treatments), ['fastGlu']);
+
+    const withoutCategories = Guidelines.mergeProfile(base, { id: 'x' });
+    assert.strictEqual(withoutCategories.riskCategories, base.riskCategories);
+    assert.strictEqual(withoutCategories.riskCategoryModels, undefined);
+});
+
+test('localize falls back to English', () => {
+    assert.strictEqual(Guidelines.localize({ en: 'High', de: 'Hoch' }, 'de'), 'Hoch');
+    assert.strictEqual(Guidelines.localize({ en: 'High' }, 'de'), 'High');
+    assert.strictEqual(Guidelines.localize('Plain', 'de'), 'Plain');
+    assert.strictEqual(Guidelines.localize(undefined, 'de'), '');
+});
@@ -0,0 +1,16 @@
+/**
+ * Every catalog in locales/ has every message key, with the same
+ * {placeholders} as English.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const I18n = require('../i18n.js');
+
+test('all catalogs have every key with matching placeholders', () => {
+    I18n.registerCatalog('en', require('../locales/en.js'));
+    I18n.registerCatalog('de', require('../locales/de.js'));
+
+    assert.deepStrictEqual(I18n.findMissingKeys(), {});
+});
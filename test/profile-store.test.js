@@ -0,0 +1,67 @@
+/**
+ * Patient profiles and their visits, stored in a Web Storage stand-in.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createProfileStore, STORAGE_KEY } = require('../profile-store.js');
+
+function memoryStorage(initial) {
+    const items = { ...initial };
+    return {
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); },
+        items
+    };
+}
+
+test('profiles are saved, listed by name, updated and removed', () => {
+    const storage = memoryStorage();
+    const store = createProfileStore(storage);
+
+    const b = store.save({ name: 'Bauer', inputs: { age: 60 }, units: 'si', model: 'aric-clinical' });
+    const a = store.save({ name: 'Albers', inputs: { age: 50 }, units: 'us', model: 'findrisc' });
+    assert.ok(a.id && a.createdAt && a.updatedAt);
+    assert.deepStrictEqual(store.list().map(profile => profile.name), ['Albers', 'Bauer']);
+    assert.ok(storage.items[STORAGE_KEY].includes('Bauer'));
+
+    store.save({ ...b, inputs: { age: 61 } });
+    assert.strictEqual(store.list().length, 2);
+    assert.strictEqual(store.get(b.id).inputs.age, 61);
+
+    assert.strictEqual(store.remove(a.id), true);
+    assert.strictEqual(store.remove(a.id), false);
+    assert.strictEqual(store.get(a.id), null);
+    assert.throws(() => store.save({ inputs: {} }), /name/);
+});
+
+test('duplicate copies a profile under a new id', () => {
+    const store = createProfileStore(memoryStorage());
+    const original = store.save({ name: 'Meyer', inputs: { age: 40 } });
+    const copy = store.duplicate(original.id);
+
+    assert.notStrictEqual(copy.id, original.id);
+    assert.strictEqual(copy.name, 'Meyer (copy)');
+    assert.deepStrictEqual(copy.inputs, original.inputs);
+    assert.throws(() => store.duplicate('missing'), /Unknown profile/);
+});
+
+test('visits are kept sorted by date and can be removed', () => {
+    const store = createProfileStore(memoryStorage());
+    const profile = store.save({ name: 'Schulz', inputs: {} });
+
+    store.addVisit(profile.id, { date: '2026-05-01', inputs: { age: 51 } });
+    const updated = store.addVisit(profile.id, { date: '2025-05-01', inputs: { age: 50 } });
+    assert.deepStrictEqual(updated.visits.map(visit => visit.date), ['2025-05-01', '2026-05-01']);
+
+    const remaining = store.removeVisit(profile.id, updated.visits[0].id);
+    assert.deepStrictEqual(remaining.visits.map(visit => visit.date), ['2026-05-01']);
+    assert.throws(() => store.addVisit(profile.id, { inputs: {} }), /date/);
+});
+
+test('corrupted or unavailable storage reads as empty', () => {
+    assert.deepStrictEqual(createProfileStore(memoryStorage({ [STORAGE_KEY]: '{not json' })).list(), []);
+    const blocked = { getItem() { throw new Error('SecurityError'); }, setItem() {} };
+    assert.deepStrictEqual(createProfileStore(blocked).list(), []);
+});
@@ -0,0 +1,113 @@
+/**
+ * The shared engine: the published model tables, unit conversion, input
+ * validation and the optional inputs outside the models.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const Engine = require('../risk-engine.js');
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message || ''} ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+// A typical middle-aged white man in SI units
+const PATIENT = {
+    age: 55, sex: 'male', race: 0, parentHist: 1, sbp: 130, waist: 100, height: 175,
+    fastGlu: 5.8, cholHDL: 1.1, cholTri: 2.0, bmi: 28,
+    relativeHist: 0, gestDiab: 0, hypertension: 1, bpMeds: 0, highGluHist: 0, physActivity: 1, vegFruit: 0
+};
+
+test('ARIC clinical and basic match the coefficients of Schmidt et al. 2005', () => {
+    const p = PATIENT;
+    const clinical = -9.9808 + 0.0173 * p.age + 0.4433 * p.race + 0.4981 * p.parentHist + 0.0111 * p.sbp
+        + 0.0273 * p.waist - 0.0326 * p.height + 1.5849 * p.fastGlu - 0.4718 * p.cholHDL + 0.242 * p.cholTri;
+    const basic = -7.3359 + 0.0271 * p.age + 0.2295 * p.race + 0.5463 * p.parentHist + 0.0123 * p.sbp
+        + 0.0456 * p.waist - 0.0158 * p.height;
+
+    assertClose(Engine.computeRisk(p, { model: 'aric-clinical' }).probability, 1 / (1 + Math.exp(-clinical)), 1e-12);
+    assertClose(Engine.computeRisk(p, { model: 'aric-basic' }).probability, 1 / (1 + Math.exp(-basic)), 1e-12);
+});
+
+test('contributions of a logistic model are centered on the cohort means', () => {
+    const model = Engine.getModel('aric-clinical');
+    const atMeans = Engine.computeRisk({ ...model.means }, { model });
+    Object.values(atMeans.contributions).forEach(value => assertClose(value, 0, 1e-12));
+});
+
+test('point models add up their published tables', () => {
+    // FINDRISC: age 55-64 3, BMI 25-30 1, waist 94-102 (men) 3, vegetables 1, parent 5
+    const findrisc = Engine.computeRisk(PATIENT, { model: 'findrisc' });
+    assert.strictEqual(findrisc.points, 13);
+    assert.strictEqual(findrisc.probability, 0.17);
+
+    // ADA: age 50-59 2, male 1, parent 1, hypertension 1, BMI 25-30 1
+    const ada = Engine.computeRisk(PATIENT, { model: 'ada' });
+    assert.strictEqual(ada.points, 6);
+    assert.strictEqual(ada.probability, null);
+
+    // Framingham: glucose 100-126 mg/dL 10, BMI 25-30 2, parent 3, triglycerides 3, SBP 2
+    const framingham = Engine.computeRisk(PATIENT, { model: 'framingham' });
+    assert.strictEqual(framingham.points, 20);
+    assert.strictEqual(framingham.probability, 0.18);
+    assert.strictEqual(Engine.computeRisk({ ...PATIENT, cholHDL: 0.9 }, { model: 'framingham' }).points, 25);
+});
+
+test('toSI and fromSI round-trip every unit', () => {
+    Object.keys(Engine.UNITS).forEach(field => {
+        Engine.UNITS[field].forEach(unit => {
+            const back = Engine.fromSI(Engine.toSI({ [field]: 42 }, { [field]: unit.id }), { [field]: unit.id });
+            assertClose(back[field], 42, 1e-9, `${field} in ${unit.id}`);
+        });
+    });
+});
+
+test('US units convert to the SI values the models use', () => {
+    const si = Engine.toSI({ fastGlu: 100, cholHDL: 40, cholTri: 150, waist: 40, height: 70, weight: 200, hba1c: 6.5 }, 'us');
+    assertClose(si.fastGlu, 5.556, 1e-3);
+    assertClose(si.cholHDL, 1.034, 1e-3);
+    assertClose(si.cholTri, 1.694, 1e-3);
+    assertClose(si.waist, 101.6, 1e-9);
+    assertClose(si.height, 177.8, 1e-9);
+    assertClose(si.weight, 90.72, 1e-2);
+    assertClose(si.hba1c, 47.5, 0.1);
+    assert.strictEqual(Engine.getUnit('fastGlu', { fastGlu: 'mmol' }).id, 'mmol/L');
+});
+
+test('validateInputs reports missing, implausible and extrapolated values', () => {
+    const issue = (inputs, field) => Engine.validateInputs({ ...PATIENT, ...inputs }).issues.find(other => other.field === field);
+
+    assert.strictEqual(Engine.validateInputs(PATIENT).valid, true);
+    assert.deepStrictEqual(issue({ fastGlu: NaN }, 'fastGlu'), { field: 'fastGlu', type: 'missing', severity: 'error' });
+    assert.strictEqual(issue({ cholHDL: 40 }, 'cholHDL').type, 'implausible');
+    assert.strictEqual(issue({ waist: 180, height: 140 }, 'waist').type, 'implausible');
+
+    const old = Engine.validateInputs({ ...PATIENT, age: 70 });
+    assert.strictEqual(old.valid, true);
+    assert.strictEqual(old.extrapolated, true);
+    assert.deepStrictEqual(old.issues[0].range, [45, 64]);
+
+    const narrowed = Engine.validateInputs(PATIENT, { ranges: { sbp: [90, 120] } });
+    assert.strictEqual(narrowed.issues[0].type, 'extrapolated');
+    assert.strictEqual(Engine.validateInputs({ ...PATIENT, ethnicity: 'south-asian' }).issues[0].type, 'population');
+    assert.strictEqual(issue({ cholHDL: 2.5, cholTri: 0.8 }, 'cholHDL').type, 'unusual');
+});
+
+test('imputeInputs estimates BMI from weight and height only', () => {
+    const { inputs, imputed } = Engine.imputeInputs({ weight: 176, height: 70, bmi: NaN, waist: NaN, fastGlu: NaN, hba1c: 6.5 }, { units: 'us' });
+
+    assertClose(inputs.bmi, 25.25, 0.01);
+    assert.deepStrictEqual(imputed, { bmi: ['weight', 'height'] });
+    assert.ok(isNaN(inputs.waist), 'waist is never estimated');
+    assert.ok(isNaN(inputs.fastGlu), 'fasting glucose is never estimated');
+    assert.deepStrictEqual(Engine.imputeInputs({ bmi: 30, weight: 90, height: 170 }).imputed, {});
+});
+
+test('averageGlucose and waistRangeForBmi follow ADAG and the waist action levels', () => {
+    assertClose(Engine.averageGlucose(Engine.toSI({ hba1c: 7 }, 'us').hba1c), 1.59 * 7 - 2.59, 1e-9);
+
+    assert.deepStrictEqual(Engine.waistRangeForBmi(22, 'female'), { max: 80 });
+    assert.deepStrictEqual(Engine.waistRangeForBmi(27, 'male'), { min: 94, max: 102 });
+    assert.deepStrictEqual(Engine.waistRangeForBmi(30, 'male'), { min: 102 });
+});